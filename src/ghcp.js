@@ -1,20 +1,58 @@
 import minimist from "minimist";
+import { ApiKeyStore } from "./utils/api_keys.js";
+import { USAGE_GROUPS, UsageLedger, parseSince } from "./utils/usage_ledger.js";
 import { CopilotAuth } from "./utils/auth_client.js";
 import { CopilotLSPClient } from "./utils/lsp_client.js";
 import { CopilotModels } from "./utils/model_client.js";
 import { CopilotChatClient } from "./utils/chat_client.js";
+import {
+  DEFAULT_PROFILE,
+  isValidProfileName,
+  listProfiles,
+  setGithubHost,
+  setSignInOptions,
+} from "./config.js";
 
 const args = process.argv.slice(2);
 const command = args[0] || "status";
 const argv = minimist(args.slice(1), {
-  string: ["message", "model"],
-  boolean: ["help"],
+  string: [
+    "message",
+    "model",
+    "host",
+    "profile",
+    "name",
+    "models",
+    "rpm",
+    "tokens-per-day",
+    "since",
+    "by",
+  ],
+  boolean: ["help", "headless", "json", "qr", "admin"],
   alias: {
     h: "help",
     m: "message",
   },
+  default: {
+    profile: DEFAULT_PROFILE,
+  },
 });
 argv.command = command;
+if (!isValidProfileName(argv.profile)) {
+  console.error(
+    `Invalid profile name: ${argv.profile}. Use letters, digits, '.', '_' and '-'.`,
+  );
+  process.exit(1);
+}
+if (argv.host) {
+  setGithubHost(argv.host);
+}
+if (argv.headless || argv.json || argv.qr) {
+  setSignInOptions({
+    headless: true,
+    output: argv.json ? "json" : argv.qr ? "qr" : "text",
+  });
+}
 
 if (argv.help) {
   console.log(`
@@ -30,15 +68,38 @@ Commands:
   getmodel              Get the active model
   setmodel              Set the active model (requires --model)
   chat                  Send a chat message to Copilot (requires --message)
+  profiles list         List the profiles and their signed in users
+  keys create           Create an API key for clients of the server
+  keys list             List the API keys
+  keys revoke <id>      Revoke an API key
+  usage                 Show the tokens used through the server
 
 Options:
   --message, -m         Message for chat command
   --model               Model ID for setmodel command
+  --profile             Profile to use, each profile has its own GitHub account (default: default)
+  --name                Name of the API key to create
+  --models              Comma separated models the API key may use (default: all)
+  --rpm                 Requests per minute of the API key (default: the server's limit)
+  --tokens-per-day      Tokens per day of the API key (default: the server's limit)
+  --admin               Allow the API key to use the /admin endpoints
+  --since               Start of the usage period, e.g. 24h, 7d or an ISO date (default: all)
+  --by                  Group usage by model, client or profile (default: model)
+  --host                GitHub host to sign in to, e.g. mycorp.ghe.com (default: github.com)
+  --headless            Don't open a browser for signin, only print the code and URL
+  --json                Print the signin code and URL as JSON
+  --qr                  Print the signin URL as a QR code
   --help, -h            Show this help message
 
 Examples:
   node ghcp.js status
   node ghcp.js signin
+  node ghcp.js signin --host mycorp.ghe.com
+  node ghcp.js signin --headless --qr
+  node ghcp.js signin --profile alice
+  node ghcp.js profiles list
+  node ghcp.js usage --since 7d --by client
+  node ghcp.js keys create --name ci --models gpt-4o,claude-3.5-sonnet
   node ghcp.js setmodel --model gpt-4
   node ghcp.js chat --message "How do I read a file in Node.js?"
   `);
@@ -48,20 +109,36 @@ Examples:
 let lspClient;
 
 async function main() {
-  lspClient = new CopilotLSPClient();
+  if (argv.command === "profiles") {
+    // Only reads the stored tokens, no need for the language server
+    listProfileUsers();
+    return;
+  }
+  if (argv.command === "keys") {
+    manageApiKeys();
+    return;
+  }
+  if (argv.command === "usage") {
+    await showUsage();
+    return;
+  }
+
+  lspClient = new CopilotLSPClient(argv.profile);
 
   try {
     await lspClient.start();
 
-    const auth = new CopilotAuth(lspClient);
-    const models = new CopilotModels(lspClient);
-    const chatClient = new CopilotChatClient(lspClient);
+    const auth = new CopilotAuth(lspClient, argv.profile);
+    const models = new CopilotModels(lspClient, argv.profile);
+    const chatClient = new CopilotChatClient(lspClient, argv.profile);
 
     switch (argv.command) {
       case "status": {
         const status = await auth.checkStatus();
         if (status.user && status.authenticated) {
-          console.log(`Signed in as GitHub user: ${status.user}`);
+          console.log(
+            `Signed in as GitHub user: ${status.user} (${status.githubHost})`,
+          );
         } else {
           console.log("Not signed in");
         }
@@ -171,6 +248,151 @@ async function main() {
   }
 }
 
+function listProfileUsers() {
+  const subcommand = argv._[0] || "list";
+  if (subcommand !== "list") {
+    console.error(`Unknown profiles command: ${subcommand}`);
+    return;
+  }
+
+  for (const profile of listProfiles()) {
+    const auth = new CopilotAuth(null, profile);
+    const user = auth.getSignedInUser();
+    const tokenExpiry = auth.getTokenExpiry();
+    const tokenState = !tokenExpiry
+      ? "no token"
+      : auth.isTokenExpiring(0)
+        ? "token expired"
+        : "token valid";
+    console.log(
+      `${profile}: ${user ? `signed in as ${user}` : "not signed in"} (${tokenState})`,
+    );
+  }
+}
+
+function manageApiKeys() {
+  const keyStore = new ApiKeyStore();
+  const subcommand = argv._[0] || "list";
+  switch (subcommand) {
+    case "create": {
+      const models = argv.models
+        ? argv.models
+            .split(",")
+            .map((model) => model.trim())
+            .filter((model) => model)
+        : null;
+      // Only pin the key to a profile when one was asked for
+      const profile = argv.profile !== DEFAULT_PROFILE ? argv.profile : null;
+      if (profile && !listProfiles().includes(profile)) {
+        console.error(
+          `Unknown profile: ${profile}. Sign it in first with signin --profile ${profile}`,
+        );
+        break;
+      }
+      const invalidLimit = ["rpm", "tokens-per-day"].find(
+        (option) =>
+          argv[option] !== undefined &&
+          parsePositiveInteger(argv[option]) === null,
+      );
+      if (invalidLimit) {
+        console.error(`--${invalidLimit} must be a positive whole number`);
+        break;
+      }
+      const rateLimits = {};
+      if (argv.rpm !== undefined) {
+        rateLimits.requestsPerMinute = parsePositiveInteger(argv.rpm);
+      }
+      if (argv["tokens-per-day"] !== undefined) {
+        rateLimits.tokensPerDay = parsePositiveInteger(argv["tokens-per-day"]);
+      }
+      const entry = keyStore.create({
+        name: argv.name || null,
+        models,
+        profile,
+        rateLimits,
+        admin: argv.admin,
+      });
+      console.log(`Created API key ${entry.id}:`);
+      console.log(entry.key);
+      console.log("Store it now, it can't be shown again.");
+      break;
+    }
+
+    case "list": {
+      const keys = keyStore.list();
+      if (keys.length === 0) {
+        console.log("No API keys, the server doesn't require one");
+      }
+      for (const entry of keys) {
+        console.log(
+          `${entry.id} ${entry.hint} name: ${entry.name || "-"}, models: ${entry.models ? entry.models.join(", ") : "all"}, profile: ${entry.profile || "any"}, limits: ${entry.rate_limits ? JSON.stringify(entry.rate_limits) : "default"}, admin: ${entry.admin ? "yes" : "no"}, created: ${entry.created_at}`,
+        );
+      }
+      break;
+    }
+
+    case "revoke": {
+      const id = argv._[1];
+      if (!id) {
+        console.error("Key ID is required. Use keys revoke <id>");
+      } else if (keyStore.revoke(id)) {
+        console.log(`Revoked API key ${id}`);
+      } else {
+        console.error(`API key ${id} not found`);
+      }
+      break;
+    }
+
+    default:
+      console.error(`Unknown keys command: ${subcommand}`);
+      break;
+  }
+}
+
+// Parses a whole number above zero given on the command line
+function parsePositiveInteger(value) {
+  if (!/^\d+$/.test(String(value).trim())) {
+    return null;
+  }
+  const number = parseInt(value, 10);
+  return number > 0 ? number : null;
+}
+
+async function showUsage() {
+  const by = argv.by || "model";
+  if (!USAGE_GROUPS.includes(by)) {
+    console.error(`--by must be one of: ${USAGE_GROUPS.join(", ")}`);
+    return;
+  }
+  let since;
+  try {
+    since = parseSince(argv.since);
+  } catch (error) {
+    console.error(error.message);
+    return;
+  }
+
+  const rows = await new UsageLedger().summarize(since, by);
+  console.log(
+    `Usage ${since ? `since ${since.toISOString()}` : "of all time"} by ${by}:`,
+  );
+  if (rows.length === 0) {
+    console.log("No requests recorded");
+    return;
+  }
+  console.table(
+    rows.map((row) => ({
+      [by]: row[by],
+      requests: row.requests,
+      errors: row.errors,
+      "prompt tokens": row.prompt_tokens,
+      "completion tokens": row.completion_tokens,
+      "total tokens": row.total_tokens,
+      "avg latency (ms)": row.avg_latency_ms,
+    })),
+  );
+}
+
 function cleanup() {
   if (lspClient && lspClient.initialized) {
     lspClient.stop();
@@ -1,134 +1,509 @@
 import express from "express";
-import { CopilotAuth } from "./utils/auth_client.js";
-import { CopilotChatClient } from "./utils/chat_client.js";
-import { CopilotLSPClient } from "./utils/lsp_client.js";
-import { CopilotModels } from "./utils/model_client.js";
+import { CopilotAccountPool } from "./utils/account_pool.js";
+import {
+  AnthropicStreamTranslator,
+  convertAnthropicToOpenaiReq,
+  convertOpenaiToAnthropicResp,
+  formatAnthropicEvent,
+} from "./utils/anthropic_utils.js";
+import { ApiKeyStore, isModelAllowed } from "./utils/api_keys.js";
+import { classifyUpstreamError, formatError } from "./utils/error_utils.js";
+import {
+  convertGenerateToMessages,
+  toGenerateResp,
+} from "./utils/generate_utils.js";
+import { toOllamaModelShow, toOpenaiModel } from "./utils/model_utils.js";
+import { convertOllamaOptions } from "./utils/ollama_options.js";
+import { CopilotProfileManager } from "./utils/profile_manager.js";
+import { RateLimiter } from "./utils/rate_limiter.js";
+import {
+  ResponseStore,
+  ResponsesStreamTranslator,
+  convertOpenaiToResponsesResp,
+  convertOutputToMessages,
+  convertResponsesToOpenaiReq,
+  formatResponsesEvent,
+} from "./utils/responses_utils.js";
+import {
+  findSchemaError,
+  formatToResponseFormat,
+} from "./utils/structured_output.js";
+import { USAGE_GROUPS, UsageLedger, parseSince } from "./utils/usage_ledger.js";
+import {
+  DEFAULT_PROFILE,
+  accountPoolProfiles,
+  isValidProfileName,
+  rateLimitConfig,
+} from "./config.js";
 
 // Global variables
-let lspClient = null;
-let authClient = null;
-let modelClient = null;
-let chatClient = null;
-let authRefreshInterval = null;
-let copilotStatus = null;
+const profileManager = new CopilotProfileManager();
+// Requests which don't pick a profile are spread across the pool, if configured
+const poolProfiles = accountPoolProfiles();
+const accountPool =
+  poolProfiles.length > 0
+    ? new CopilotAccountPool(profileManager, poolProfiles)
+    : null;
+const responseStore = new ResponseStore();
+const apiKeyStore = new ApiKeyStore();
+const rateLimiter = new RateLimiter();
+// Read once, changes to the limits take effect on restart
+const rateLimits = rateLimitConfig();
+const usageLedger = new UsageLedger();
 const PORT = process.env.PORT || 11434; // Same port as Ollama
+// Clients on this machine, taken from the socket so a forwarded address can't fake them
+const LOOPBACK_ADDRESSES = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
 
 async function setupCopilotChat() {
-  try {
-    console.log("Initializing GitHub Copilot LSP client...");
-    if (!lspClient) {
-      lspClient = new CopilotLSPClient();
-    }
-    if (!lspClient.initialized) {
-      await lspClient.start();
-    }
+  console.log("Initializing GitHub Copilot chat client...");
+  // Only the default profile is set up on startup, named profiles on first use
+  return await profileManager.getProfile(DEFAULT_PROFILE).setup({
+    signIn: true,
+  });
+}
 
-    console.log("Initializing GitHub Copilot chat client...");
-    authClient = new CopilotAuth(lspClient);
-    modelClient = new CopilotModels(lspClient);
-    chatClient = new CopilotChatClient(lspClient);
+// Reads the API key sent by a client, as a bearer token or in an `x-api-key` header
+function readApiKey(req) {
+  const bearerToken = req.get("Authorization")?.match(/^Bearer\s+(.+)$/i);
+  return bearerToken ? bearerToken[1].trim() : req.get("x-api-key");
+}
 
-    await authClient.signIn(true);
-    const status = await authClient.checkStatus();
-    if (!status.authenticated) {
-      copilotStatus = { ready: false, error: "auth" };
-      return { success: false, error: "Sing in to Github Copilot failed." };
-    }
-    if (!status.tokenValid) {
-      copilotStatus = { ready: false, error: "auth" };
-      return { success: false, error: "GitHub token is not valid." };
-    }
+/**
+ * Picks the profile to serve a request with: the profile of the client's API key,
+ * the `X-Copilot-Profile` header or, since most API clients can only set a key,
+ * a bearer token or `x-api-key` naming a profile.
+ *
+ * @param {Object} req - The express request
+ *
+ * @returns {string|null} The profile name, null if the request doesn't pick one
+ */
+function selectProfileName(req) {
+  if (req.apiKey?.profile) {
+    return req.apiKey.profile;
+  }
+  const profileHeader = req.get("X-Copilot-Profile");
+  if (profileHeader) {
+    return profileHeader;
+  }
 
-    // Set up auto token refresh - check every hour if token is still valid
-    startAuthRefresh();
-    copilotStatus = { ready: true };
-    return { success: true };
-  } catch (error) {
-    copilotStatus = { ready: false, error: "unknown" };
-    return {
-      success: false,
-      error: `Failed to initialize Copilot client: ${error.message}.`,
-    };
+  const apiKey = readApiKey(req);
+  // Clients send all sorts of placeholder keys, only known profiles count
+  if (isValidProfileName(apiKey) && profileManager.hasProfile(apiKey)) {
+    return apiKey;
   }
+  return null;
 }
 
-function startAuthRefresh() {
-  if (authRefreshInterval) {
-    clearInterval(authRefreshInterval);
+// Which API a request is made to, so errors can be sent in its format
+function apiProtocol(req) {
+  if (req.path.startsWith("/api/")) {
+    return "ollama";
   }
-  // Token expires in 30 minutes, refresh every 29 minutes
-  authRefreshInterval = setInterval(
-    async () => {
-      try {
-        console.log("Refreshing GitHub Copilot authentication...");
-        await authClient.signIn(true);
-        const status = await authClient.checkStatus();
-        if (!status.authenticated) {
-          console.error("Sign in to Github Copilot failed.");
-        }
-        if (!status.tokenValid) {
-          console.error("GitHub token is not valid.");
-        }
-      } catch (error) {
-        console.error("Error checking auth status:", error);
+  if (req.path.startsWith("/v1/messages")) {
+    return "anthropic";
+  }
+  return "openai";
+}
+
+/**
+ * Sends an error response in the format of the API the request was made to
+ *
+ * @param {Object} req - The express request
+ * @param {Object} res - The express response
+ * @param {number} status - The HTTP status
+ * @param {string} message - Description of the error
+ * @param {string|null} [errorCode=null] - The error code, see error_utils.js
+ */
+function sendError(req, res, status, message, errorCode = null) {
+  return res
+    .status(status)
+    .json(formatError(apiProtocol(req), status, message, errorCode));
+}
+
+/**
+ * Sends the error of a failed Copilot API request, with the status and type
+ * that match the Copilot error and the `Retry-After` of a rate limit.
+ *
+ * @param {Object} req - The express request
+ * @param {Object} res - The express response
+ * @param {Object} result - The failed result of the chat client
+ */
+function sendUpstreamError(req, res, result) {
+  const { status, errorCode } = classifyUpstreamError(result);
+  if (status === 429 && result.retryAfterMs) {
+    res.setHeader("Retry-After", Math.ceil(result.retryAfterMs / 1000));
+  }
+  return sendError(req, res, status, result.error, errorCode);
+}
+
+// The error of a failed Copilot API request in the format of the request's API,
+// to end a stream that has already started
+function upstreamErrorBody(req, result) {
+  const { status, errorCode } = classifyUpstreamError(result);
+  return formatError(apiProtocol(req), status, result.error, errorCode);
+}
+
+// Requires an API key once any key has been created with `ghcp.js keys create`
+function authenticateClient(req, res, next) {
+  if (!apiKeyStore.enabled) {
+    return next();
+  }
+
+  const apiKey = readApiKey(req);
+  const keyEntry = apiKeyStore.verify(apiKey);
+  if (!keyEntry) {
+    return sendError(
+      req,
+      res,
+      401,
+      apiKey
+        ? "Invalid API key"
+        : "Missing API key, send it as `Authorization: Bearer <key>` or in an `X-API-Key` header",
+      "invalid_api_key",
+    );
+  }
+
+  const modelId = req.body?.model || req.body?.name;
+  // Without a model, the request would use a default model the key may not be allowed
+  if (keyEntry.models && !modelId && req.method === "POST") {
+    return sendError(
+      req,
+      res,
+      403,
+      `The API key is limited to models ${keyEntry.models.join(", ")}, name one of them in \`model\``,
+      "model_not_allowed",
+    );
+  }
+  if (!isModelAllowed(keyEntry, modelId)) {
+    return sendError(
+      req,
+      res,
+      403,
+      `The API key is not allowed to use model '${modelId}'`,
+      "model_not_allowed",
+    );
+  }
+  req.apiKey = keyEntry;
+  next();
+}
+
+// Limits the admin and sign-in endpoints to admin keys, or to local clients as
+// long as the server doesn't require keys, since they show the usage of every
+// client and the device codes to sign in with
+function authorizeAdmin(req, res, next) {
+  const allowed = apiKeyStore.enabled
+    ? !!req.apiKey?.admin
+    : LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress);
+  if (!allowed) {
+    return sendError(
+      req,
+      res,
+      403,
+      apiKeyStore.enabled
+        ? "The API key is not allowed to use the admin endpoints, create one with `ghcp.js keys create --admin`"
+        : "The admin endpoints can only be used from this machine until an admin key is created with `ghcp.js keys create --admin`",
+      "admin_required",
+    );
+  }
+  next();
+}
+
+// Identifies the client of a request for rate limiting, by API key or IP address
+function clientId(req) {
+  return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+}
+
+// Enforces the requests per minute and tokens per day of each client
+function limitClientRate(req, res, next) {
+  const limits = req.apiKey?.rate_limits
+    ? {
+        ...rateLimits,
+        client: { ...rateLimits.client, ...req.apiKey.rate_limits },
+      }
+    : rateLimits;
+  const client = clientId(req);
+  const result = rateLimiter.check(client, limits);
+  if (!result.allowed) {
+    res.setHeader("Retry-After", Math.ceil(result.retryAfterMs / 1000));
+    return sendError(
+      req,
+      res,
+      429,
+      result.message,
+      `${result.reason}_rate_limited`,
+    );
+  }
+  next();
+}
+
+// Records the usage of each request once its response is done, in the usage
+// ledger and against the client's token budget
+function recordUsage(req, res, next) {
+  // Admin and sign-in requests don't use Copilot
+  if (!req.path.startsWith("/api/") && !req.path.startsWith("/v1/")) {
+    return next();
+  }
+
+  const startTime = Date.now();
+  res.locals.usage = { promptTokens: 0, completionTokens: 0 };
+  res.on("close", () => {
+    const { promptTokens, completionTokens } = res.locals.usage;
+    const client = clientId(req);
+    rateLimiter.addTokens(client, promptTokens + completionTokens);
+    usageLedger.record({
+      timestamp: new Date(startTime).toISOString(),
+      client,
+      key_name: req.apiKey?.name || null,
+      profile: res.locals.profile || req.copilot?.name || null,
+      model: req.body?.model || req.body?.name || null,
+      path: req.path,
+      // The client went away before the response was complete
+      status: res.writableFinished ? res.statusCode : 499,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      latency_ms: Date.now() - startTime,
+    });
+  });
+  next();
+}
+
+/**
+ * Returns the options of the upstream requests made for a client request, which
+ * report retries in the `X-Upstream-Retries` response header, the profile
+ * which served the request in `X-Copilot-Profile` and cancel the
+ * upstream request when the client disconnects. Once the response has started,
+ * retries are only logged.
+ *
+ * @param {Object} res - The express response
+ *
+ * @returns {Object} The request options, see http_utils.js
+ */
+function upstreamOptions(res) {
+  const controller = new AbortController();
+  // The request emits `close` as soon as its body is read, the response only
+  // when it's done or the connection is gone
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return {
+    signal: controller.signal,
+    onRetry: (retries) => {
+      if (!res.headersSent) {
+        res.setHeader("X-Upstream-Retries", retries);
       }
     },
-    29 * 60 * 1000,
-  );
+    // The account pool reports the profile of each account it sends the request with
+    onAccount: (profileName) => {
+      res.locals.profile = profileName;
+      if (!res.headersSent) {
+        res.setHeader("X-Copilot-Profile", profileName);
+      }
+    },
+  };
+}
+
+/**
+ * Records the tokens used by a request, as reported in an Ollama response
+ * (`prompt_eval_count`/`eval_count`) or an OpenAI response or chunk (`usage`).
+ *
+ * @param {Object} res - The express response
+ * @param {Object} resp - The Ollama or OpenAI response, or a streamed part of it
+ */
+function trackUsage(res, resp) {
+  const usage = res.locals.usage;
+  if (!usage || !resp) {
+    return;
+  }
+  if (resp.usage) {
+    usage.promptTokens = resp.usage.prompt_tokens || 0;
+    usage.completionTokens = resp.usage.completion_tokens || 0;
+  } else if (resp.prompt_eval_count || resp.eval_count) {
+    usage.promptTokens = resp.prompt_eval_count || 0;
+    usage.completionTokens = resp.eval_count || 0;
+  }
 }
 
 async function ensureCopilotSetup(req, res, next) {
-  if (!copilotStatus.ready) {
+  const profileName = selectProfileName(req);
+  if (!profileName && accountPool) {
+    return ensurePoolSetup(req, res, next);
+  }
+
+  const profile = profileManager.getProfile(profileName || DEFAULT_PROFILE);
+  if (!profile) {
+    return sendError(
+      req,
+      res,
+      400,
+      `GitHub Copilot profile '${profileName}' does not exist`,
+    );
+  }
+
+  if (!profile.status && profile.name === DEFAULT_PROFILE) {
+    // Still starting up, possibly waiting for the user to sign in
+    return sendError(
+      req,
+      res,
+      503,
+      profile.authClient.getPendingSignIn()
+        ? "GitHub Copilot client is starting, sign in is pending, see GET /auth/device-code"
+        : "GitHub Copilot client is starting, please retry in a moment",
+    );
+  }
+  if (!profile.status?.ready) {
+    // Set up on first use, or check again if the profile was signed in since
+    await profile.setup();
+  }
+  if (!profile.status.ready) {
     // If it needs authentication specifically, return 401
-    if (copilotStatus.error === "auth") {
-      return res.status(401).json({
-        error: "Authentication required",
-        message: "Please sign in to Github Copilot",
-      });
+    if (profile.status.error === "auth") {
+      return sendError(
+        req,
+        res,
+        401,
+        profile.name === DEFAULT_PROFILE
+          ? "Authentication required, please sign in to Github Copilot"
+          : `Authentication required, please sign in to Github Copilot with \`node src/ghcp.js signin --profile ${profile.name}\``,
+      );
     }
 
     // Otherwise return a 500 error
-    return res.status(500).json({
-      error: "Failed to setup GitHub Copilot client",
-      message: "Please check your GitHub Copilot setup",
-    });
+    return sendError(
+      req,
+      res,
+      500,
+      "Failed to setup GitHub Copilot client, please check your GitHub Copilot setup",
+    );
   }
+
+  req.copilot = profile;
+  res.set("X-Copilot-Profile", profile.name);
   next();
 }
 
+async function ensurePoolSetup(req, res, next) {
+  if (!(await accountPool.setup())) {
+    return sendError(
+      req,
+      res,
+      503,
+      "No GitHub Copilot account available, none of the accounts in the pool is signed in, see GET /admin/pool",
+    );
+  }
+  req.copilot = accountPool;
+  next();
+}
+
+// Only lists the models the client's API key may use
+function allowedModels(req, models) {
+  return models.filter((model) => isModelAllowed(req.apiKey, model.id));
+}
+
 async function handleModelFetchRequest(req, res) {
   try {
-    const modelsResult = await modelClient.getAvailableModels();
+    const modelsResult = await req.copilot.modelClient.getAvailableModels();
 
     if (modelsResult.success) {
       // Format the response to match Ollama's format
       const modelResponse = {
-        models: modelsResult.availableModels.map((model) => ({
-          name: model.id,
-          modified_at: new Date().toISOString(),
-          size: 0, // Size is not applicable for Copilot models
-          digest: `copilot-${model.id}`,
-          details: {
-            parameter_size: "unknown",
-            family: "GitHub Copilot",
-            families: ["GitHub Copilot"],
-            format: "Copilot API",
-            description: model.description,
-          },
-        })),
+        models: allowedModels(req, modelsResult.availableModels).map(
+          (model) => ({
+            name: model.id,
+            modified_at: new Date().toISOString(),
+            size: 0, // Size is not applicable for Copilot models
+            digest: `copilot-${model.id}`,
+            details: {
+              parameter_size: "unknown",
+              family: "GitHub Copilot",
+              families: ["GitHub Copilot"],
+              format: "Copilot API",
+              description: model.description,
+            },
+          }),
+        ),
       };
       return res.json(modelResponse);
     } else {
-      return res.status(500).json({
-        error: "Failed to get models",
-        message: modelsResult.error,
-      });
+      return sendError(
+        req,
+        res,
+        500,
+        `Failed to get models: ${modelsResult.error}`,
+      );
     }
   } catch (error) {
-    return res.status(500).json({
-      error: "Internal server error",
-      message: error.message,
+    return sendError(req, res, 500, error.message);
+  }
+}
+
+async function handleOpenAIModelListRequest(req, res) {
+  try {
+    const modelsResult = await req.copilot.modelClient.getAvailableModels();
+    if (!modelsResult.success) {
+      return sendError(
+        req,
+        res,
+        500,
+        `Failed to get models: ${modelsResult.error}`,
+      );
+    }
+    return res.json({
+      object: "list",
+      data: allowedModels(req, modelsResult.availableModels).map(toOpenaiModel),
     });
+  } catch (error) {
+    return sendError(req, res, 500, error.message);
+  }
+}
+
+async function handleOpenAIModelRequest(req, res) {
+  try {
+    // Models the API key may not use are hidden like unknown ones
+    const modelResult = isModelAllowed(req.apiKey, req.params.id)
+      ? await req.copilot.modelClient.getModel(req.params.id)
+      : { success: false, notFound: true };
+    if (modelResult.success) {
+      return res.json(toOpenaiModel(modelResult.model));
+    }
+    if (modelResult.notFound) {
+      return sendError(
+        req,
+        res,
+        404,
+        `The model '${req.params.id}' does not exist`,
+        "model_not_found",
+      );
+    }
+    return sendError(
+      req,
+      res,
+      500,
+      `Failed to get model: ${modelResult.error}`,
+    );
+  } catch (error) {
+    return sendError(req, res, 500, error.message);
+  }
+}
+
+async function handleModelShowRequest(req, res) {
+  const modelId = req.body.model || req.body.name;
+  if (!modelId) {
+    return sendError(req, res, 400, "model is required");
+  }
+
+  try {
+    const modelResult = await req.copilot.modelClient.getModel(modelId);
+    if (!modelResult.success) {
+      return modelResult.notFound
+        ? sendError(req, res, 404, modelResult.error, "model_not_found")
+        : sendError(req, res, 500, modelResult.error);
+    }
+
+    return res.json(toOllamaModelShow(modelResult.model));
+  } catch (error) {
+    return sendError(req, res, 500, error.message);
   }
 }
 
@@ -136,21 +511,30 @@ async function handleChatRequest(req, res) {
   const model = req.body.model || "gpt-4o-2024-11-20";
   const messages = req.body.messages || [];
   const stream = req.body.stream !== undefined ? req.body.stream : false;
-  const options = req.body.options || {};
+  const options = { ...req.body.options };
   options.model = model;
+  const responseFormat = formatToResponseFormat(req.body.format);
+  const schemaError = findSchemaError(responseFormat);
+  if (schemaError) {
+    return sendError(req, res, 400, schemaError);
+  }
+  if (responseFormat) {
+    options.response_format = responseFormat;
+  }
   const tools = req.body.tools || [];
+  setIgnoredOptionsHeader(res, req.body.options);
   try {
     if (stream) {
       // Set headers for response
       res.setHeader("Content-Type", "application/json");
       res.setHeader("Cache-Control", "no-cache");
       res.setHeader("Connection", "keep-alive");
-      res.write("\n");
 
-      const chatResult = await chatClient.sendStreamingRequest(
+      const chatResult = await req.copilot.chatClient.sendStreamingRequest(
         messages,
         (respMessages, event) => {
           for (const respMessage of respMessages) {
+            trackUsage(res, respMessage);
             if (respMessage.message) {
               res.write(`${JSON.stringify(respMessage)}\n\n`);
             }
@@ -162,97 +546,597 @@ async function handleChatRequest(req, res) {
         },
         options,
         tools,
+        true,
+        upstreamOptions(res),
       );
 
       if (!chatResult.success) {
-        const resp = {
-          error: "Failed to generate text",
-          message: chatResult.error,
-        };
-        res.write(`data: ${JSON.stringify(resp)}\n\n`);
+        if (!res.headersSent) {
+          return sendUpstreamError(req, res, chatResult);
+        }
+        // The stream has started, end it with an error line
+        res.write(`${JSON.stringify(upstreamErrorBody(req, chatResult))}\n`);
         res.end();
       }
     } else {
-      const result = await chatClient.sendRequest(messages, options, tools);
+      const result = await req.copilot.chatClient.sendRequest(
+        messages,
+        options,
+        tools,
+        true,
+        upstreamOptions(res),
+      );
       if (result.success) {
+        trackUsage(res, result.data);
         return res.json(result.data);
       } else {
-        return res.status(500).json({
-          error: "Failed to generate text",
-          message: result.error,
-        });
+        return sendUpstreamError(req, res, result);
       }
     }
   } catch (error) {
     console.error("Error in chat request:", error);
-    return res.status(500).json({
-      error: "Internal server error",
-      message: error.message,
-    });
+    return sendError(req, res, 500, error.message);
   }
 }
 
-async function handleOpenAIChatRequest(req, res) {
+// Tells clients which options had no effect, since Copilot doesn't support them
+function setIgnoredOptionsHeader(res, options) {
+  const { ignored } = convertOllamaOptions(options);
+  if (ignored.length > 0) {
+    res.setHeader("X-Ignored-Options", ignored.join(", "));
+  }
+}
+
+async function handleFimRequest(req, res) {
+  // The completion comes from the language server's own model, not the named one
+  if (req.apiKey?.models) {
+    return sendError(
+      req,
+      res,
+      403,
+      "The API key is limited to models, so it can't use fill-in-the-middle completions of the language server",
+      "model_not_allowed",
+    );
+  }
+  const model = req.body.model || "gpt-4o-2024-11-20";
+  const stream = req.body.stream !== undefined ? req.body.stream : true;
+  const startTime = process.hrtime.bigint();
+  try {
+    const result = await req.copilot.completionClient.getCompletion(
+      req.body.prompt || "",
+      req.body.suffix || "",
+      { languageId: req.body.language },
+    );
+    if (!result.success) {
+      return sendError(
+        req,
+        res,
+        500,
+        `Failed to generate completion: ${result.error}`,
+      );
+    }
+
+    const createdAt = new Date().toISOString();
+    const doneResp = {
+      model: model,
+      created_at: createdAt,
+      response: "",
+      done: true,
+      done_reason: "stop",
+      total_duration: Number(process.hrtime.bigint() - startTime),
+    };
+    if (stream) {
+      res.setHeader("Content-Type", "application/x-ndjson");
+      res.write(
+        `${JSON.stringify({
+          model: model,
+          created_at: createdAt,
+          response: result.completion,
+          done: false,
+        })}\n`,
+      );
+      res.write(`${JSON.stringify(doneResp)}\n`);
+      return res.end();
+    }
+    return res.json({ ...doneResp, response: result.completion });
+  } catch (error) {
+    console.error("Error in completion request:", error);
+    return sendError(req, res, 500, error.message);
+  }
+}
+
+async function handleGenerateRequest(req, res) {
+  // A suffix turns the request into fill-in-the-middle code completion
+  if (req.body.suffix !== undefined && req.body.suffix !== null) {
+    return handleFimRequest(req, res);
+  }
+
+  const model = req.body.model || "gpt-4o-2024-11-20";
+  const prompt = req.body.prompt || "";
+  const stream = req.body.stream !== undefined ? req.body.stream : true;
+  const options = { ...req.body.options };
+  options.model = model;
+  const responseFormat = formatToResponseFormat(req.body.format);
+  const schemaError = findSchemaError(responseFormat);
+  if (schemaError) {
+    return sendError(req, res, 400, schemaError);
+  }
+  if (responseFormat) {
+    options.response_format = responseFormat;
+  }
+
+  // An empty prompt only loads the model in Ollama, so reply with a done record
+  if (!prompt) {
+    return res.json({
+      model: model,
+      created_at: new Date().toISOString(),
+      response: "",
+      done: true,
+      done_reason: "load",
+    });
+  }
+
+  const messages = convertGenerateToMessages(req.body);
+  setIgnoredOptionsHeader(res, req.body.options);
+
   try {
-    const stream = req.body.stream !== undefined ? req.body.stream : false;
     if (stream) {
       // Set headers for response
-      res.setHeader("Content-Type", "application/json");
+      res.setHeader("Content-Type", "application/x-ndjson");
       res.setHeader("Cache-Control", "no-cache");
       res.setHeader("Connection", "keep-alive");
-      res.write("\n");
 
-      const chatResult = await chatClient.sendStreamingOpenaiRequest(
-        req.body,
+      const chatResult = await req.copilot.chatClient.sendStreamingRequest(
+        messages,
         (respMessages, event) => {
           for (const respMessage of respMessages) {
-            res.write(`data: ${JSON.stringify(respMessage)}\n\n`);
+            trackUsage(res, respMessage);
+            if (respMessage.message) {
+              res.write(`${JSON.stringify(toGenerateResp(respMessage))}\n`);
+            }
           }
           res.flush && res.flush();
           if (event === "end") {
-            res.write("data: [DONE]\n\n");
             res.end();
           }
         },
+        options,
+        null,
+        true,
+        upstreamOptions(res),
       );
 
       if (!chatResult.success) {
-        const resp = {
-          error: "Failed to generate text",
-          message: chatResult.error,
-        };
-        res.write(`data: ${JSON.stringify(resp)}\n\n`);
+        if (!res.headersSent) {
+          return sendUpstreamError(req, res, chatResult);
+        }
+        // The stream has started, end it with an error line
+        res.write(`${JSON.stringify(upstreamErrorBody(req, chatResult))}\n`);
         res.end();
       }
     } else {
-      const result = await chatClient.sendOpenaiRequest(req.body);
+      const result = await req.copilot.chatClient.sendRequest(
+        messages,
+        options,
+        null,
+        true,
+        upstreamOptions(res),
+      );
       if (result.success) {
+        trackUsage(res, result.data);
+        return res.json(toGenerateResp(result.data));
+      } else {
+        return sendUpstreamError(req, res, result);
+      }
+    }
+  } catch (error) {
+    console.error("Error in generate request:", error);
+    return sendError(req, res, 500, error.message);
+  }
+}
+
+async function handleOpenAIChatRequest(req, res) {
+  const schemaError = findSchemaError(req.body.response_format);
+  if (schemaError) {
+    return sendError(req, res, 400, schemaError);
+  }
+  try {
+    const stream = req.body.stream !== undefined ? req.body.stream : false;
+    if (stream) {
+      // Set headers for response
+      res.setHeader("Content-Type", "application/json");
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("Connection", "keep-alive");
+
+      const chatResult =
+        await req.copilot.chatClient.sendStreamingOpenaiRequest(
+          req.body,
+          (respMessages, event) => {
+            for (const respMessage of respMessages) {
+              trackUsage(res, respMessage);
+              res.write(`data: ${JSON.stringify(respMessage)}\n\n`);
+            }
+            res.flush && res.flush();
+            if (event === "end") {
+              res.write("data: [DONE]\n\n");
+              res.end();
+            }
+          },
+          true,
+          upstreamOptions(res),
+        );
+
+      if (!chatResult.success) {
+        if (!res.headersSent) {
+          return sendUpstreamError(req, res, chatResult);
+        }
+        // The stream has started, end it with an error chunk
+        res.write(
+          `data: ${JSON.stringify(upstreamErrorBody(req, chatResult))}\n\n`,
+        );
+        res.end();
+      }
+    } else {
+      const result = await req.copilot.chatClient.sendOpenaiRequest(
+        req.body,
+        true,
+        upstreamOptions(res),
+      );
+      if (result.success) {
+        trackUsage(res, result.data);
         return res.json(result.data);
       } else {
-        return res.status(500).json({
-          error: "Failed to generate text",
-          message: result.error,
-        });
+        return sendUpstreamError(req, res, result);
       }
     }
   } catch (error) {
     console.error("Error in chat request:", error);
-    return res.status(500).json({
-      error: "Internal server error",
-      message: error.message,
+    return sendError(req, res, 500, error.message);
+  }
+}
+
+async function handleAnthropicMessageRequest(req, res) {
+  try {
+    const payload = convertAnthropicToOpenaiReq(req.body);
+    if (payload.stream) {
+      // Set headers for response
+      res.setHeader("Content-Type", "text/event-stream");
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("Connection", "keep-alive");
+
+      const translator = new AnthropicStreamTranslator(payload.model);
+      const chatResult =
+        await req.copilot.chatClient.sendStreamingOpenaiRequest(
+          payload,
+          (respMessages, event) => {
+            for (const respMessage of respMessages) {
+              trackUsage(res, respMessage);
+              for (const anthropicEvent of translator.translate(respMessage)) {
+                res.write(formatAnthropicEvent(anthropicEvent));
+              }
+            }
+            if (event === "end") {
+              for (const anthropicEvent of translator.finish()) {
+                res.write(formatAnthropicEvent(anthropicEvent));
+              }
+            }
+            res.flush && res.flush();
+            if (event === "end") {
+              res.end();
+            }
+          },
+          true,
+          upstreamOptions(res),
+        );
+
+      if (!chatResult.success) {
+        if (!res.headersSent) {
+          return sendUpstreamError(req, res, chatResult);
+        }
+        res.write(formatAnthropicEvent(upstreamErrorBody(req, chatResult)));
+        res.end();
+      }
+    } else {
+      const result = await req.copilot.chatClient.sendOpenaiRequest(
+        payload,
+        true,
+        upstreamOptions(res),
+      );
+      if (result.success) {
+        trackUsage(res, result.data);
+        return res.json(convertOpenaiToAnthropicResp(result.data));
+      } else {
+        return sendUpstreamError(req, res, result);
+      }
+    }
+  } catch (error) {
+    console.error("Error in messages request:", error);
+    return sendError(req, res, 500, error.message);
+  }
+}
+
+async function handleOpenAIResponseRequest(req, res) {
+  try {
+    let history = [];
+    if (req.body.previous_response_id) {
+      const previous = responseStore.get(
+        req.body.previous_response_id,
+        responseOwner(req),
+      );
+      if (!previous) {
+        return sendError(
+          req,
+          res,
+          404,
+          `Previous response with id '${req.body.previous_response_id}' not found.`,
+          "previous_response_not_found",
+        );
+      }
+      history = previous.messages;
+    }
+
+    const { payload, conversation } = convertResponsesToOpenaiReq(
+      req.body,
+      history,
+    );
+    const schemaError = findSchemaError(payload.response_format);
+    if (schemaError) {
+      return sendError(req, res, 400, schemaError);
+    }
+    const storeResponse = (response) => {
+      if (req.body.store !== false) {
+        responseStore.save(
+          response,
+          [...conversation, ...convertOutputToMessages(response.output)],
+          responseOwner(req),
+        );
+      }
+    };
+
+    if (payload.stream) {
+      // Set headers for response
+      res.setHeader("Content-Type", "text/event-stream");
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("Connection", "keep-alive");
+
+      const translator = new ResponsesStreamTranslator(req.body, payload.model);
+      const chatResult =
+        await req.copilot.chatClient.sendStreamingOpenaiRequest(
+          payload,
+          (respMessages, event) => {
+            for (const respMessage of respMessages) {
+              trackUsage(res, respMessage);
+              for (const responsesEvent of translator.translate(respMessage)) {
+                res.write(formatResponsesEvent(responsesEvent));
+              }
+            }
+            if (event === "end") {
+              for (const responsesEvent of translator.finish()) {
+                res.write(formatResponsesEvent(responsesEvent));
+              }
+              storeResponse(translator.response);
+            }
+            res.flush && res.flush();
+            if (event === "end") {
+              res.end();
+            }
+          },
+          true,
+          upstreamOptions(res),
+        );
+
+      if (!chatResult.success) {
+        if (!res.headersSent) {
+          return sendUpstreamError(req, res, chatResult);
+        }
+        const { error } = upstreamErrorBody(req, chatResult);
+        res.write(
+          formatResponsesEvent({
+            type: "error",
+            code: error.code,
+            message: error.message,
+            param: error.param,
+          }),
+        );
+        res.end();
+      }
+    } else {
+      const result = await req.copilot.chatClient.sendOpenaiRequest(
+        payload,
+        true,
+        upstreamOptions(res),
+      );
+      if (result.success) {
+        trackUsage(res, result.data);
+        const response = convertOpenaiToResponsesResp(result.data, req.body);
+        storeResponse(response);
+        return res.json(response);
+      } else {
+        return sendUpstreamError(req, res, result);
+      }
+    }
+  } catch (error) {
+    console.error("Error in responses request:", error);
+    return sendError(req, res, 500, error.message);
+  }
+}
+
+// Stored responses belong to the API key and profile they were created with
+function responseOwner(req) {
+  return { keyId: req.apiKey?.id, profile: selectProfileName(req) };
+}
+
+function handleOpenAIResponseFetchRequest(req, res) {
+  const stored = responseStore.get(req.params.id, responseOwner(req));
+  if (!stored) {
+    return sendError(
+      req,
+      res,
+      404,
+      `Response with id '${req.params.id}' not found.`,
+    );
+  }
+  return res.json(stored.response);
+}
+
+function handleOpenAIResponseDeleteRequest(req, res) {
+  if (!responseStore.delete(req.params.id, responseOwner(req))) {
+    return sendError(
+      req,
+      res,
+      404,
+      `Response with id '${req.params.id}' not found.`,
+    );
+  }
+  return res.json({ id: req.params.id, object: "response", deleted: true });
+}
+
+async function handleEmbedRequest(req, res) {
+  const model = req.body.model || "text-embedding-3-small";
+  const startTime = process.hrtime.bigint();
+  try {
+    const result = await req.copilot.chatClient.sendEmbeddingRequest(
+      {
+        model: model,
+        input: req.body.input ?? "",
+        dimensions: req.body.dimensions,
+      },
+      true,
+      upstreamOptions(res),
+    );
+    if (!result.success) {
+      return sendUpstreamError(req, res, result);
+    }
+    trackUsage(res, result.data);
+
+    const data = [...result.data.data].sort((a, b) => a.index - b.index);
+    return res.json({
+      model: model,
+      embeddings: data.map((item) => item.embedding),
+      total_duration: Number(process.hrtime.bigint() - startTime),
+      load_duration: 0,
+      prompt_eval_count: result.data.usage?.prompt_tokens || 0,
     });
+  } catch (error) {
+    console.error("Error in embed request:", error);
+    return sendError(req, res, 500, error.message);
   }
 }
 
-function shutdown() {
-  console.log("Shutting down server...");
+async function handleLegacyEmbeddingRequest(req, res) {
+  try {
+    const result = await req.copilot.chatClient.sendEmbeddingRequest(
+      {
+        model: req.body.model || "text-embedding-3-small",
+        input: req.body.prompt ?? "",
+      },
+      true,
+      upstreamOptions(res),
+    );
+    if (!result.success) {
+      return sendUpstreamError(req, res, result);
+    }
+    trackUsage(res, result.data);
+    return res.json({ embedding: result.data.data[0]?.embedding || [] });
+  } catch (error) {
+    console.error("Error in embeddings request:", error);
+    return sendError(req, res, 500, error.message);
+  }
+}
+
+async function handleOpenAIEmbeddingRequest(req, res) {
+  try {
+    const result = await req.copilot.chatClient.sendEmbeddingRequest(
+      req.body,
+      true,
+      upstreamOptions(res),
+    );
+    if (!result.success) {
+      return sendUpstreamError(req, res, result);
+    }
+    trackUsage(res, result.data);
+
+    const usage = result.data.usage || {};
+    return res.json({
+      object: "list",
+      data: result.data.data.map((item) => ({
+        object: "embedding",
+        index: item.index,
+        embedding: item.embedding,
+      })),
+      model: result.data.model || req.body.model,
+      usage: {
+        prompt_tokens: usage.prompt_tokens || 0,
+        total_tokens: usage.total_tokens || usage.prompt_tokens || 0,
+      },
+    });
+  } catch (error) {
+    console.error("Error in embeddings request:", error);
+    return sendError(req, res, 500, error.message);
+  }
+}
 
-  if (authRefreshInterval) {
-    clearInterval(authRefreshInterval);
+function handleDeviceCodeRequest(req, res) {
+  const profileName = req.query.profile || DEFAULT_PROFILE;
+  const profile = isValidProfileName(profileName)
+    ? profileManager.getProfile(profileName)
+    : null;
+  const pendingSignIn = profile?.authClient.getPendingSignIn();
+  if (!pendingSignIn) {
+    return sendError(
+      req,
+      res,
+      404,
+      `No sign in pending, GitHub Copilot sign in of profile '${profileName}' is not waiting for a device code`,
+    );
   }
-  if (lspClient && lspClient.initialized) {
-    lspClient.stop();
+  return res.json(pendingSignIn);
+}
+
+function handlePoolStateRequest(req, res) {
+  return res.json({
+    enabled: !!accountPool,
+    accounts: accountPool ? accountPool.getState() : [],
+  });
+}
+
+async function handleUsageRequest(req, res) {
+  const by = req.query.by || "model";
+  if (!USAGE_GROUPS.includes(by)) {
+    return sendError(
+      req,
+      res,
+      400,
+      `Invalid group, by must be one of: ${USAGE_GROUPS.join(", ")}`,
+    );
   }
+  let since;
+  try {
+    since = parseSince(req.query.since);
+  } catch (error) {
+    return sendError(req, res, 400, error.message);
+  }
+  try {
+    return res.json({
+      since: since ? since.toISOString() : null,
+      by,
+      usage: await usageLedger.summarize(since, by),
+    });
+  } catch (error) {
+    return sendError(
+      req,
+      res,
+      500,
+      `Failed to read usage ledger: ${error.message}`,
+    );
+  }
+}
+
+function shutdown() {
+  console.log("Shutting down server...");
+
+  profileManager.stop();
+  rateLimiter.flush();
 
   process.exit(0);
 }
@@ -260,26 +1144,71 @@ function shutdown() {
 // Create Express app
 const app = express();
 app.use(express.json());
+app.use(recordUsage);
+app.use(authenticateClient);
+app.use(limitClientRate);
 
 // Ollama API endpoints
 app.get("/api/tags", ensureCopilotSetup, async (req, res) => {
   return handleModelFetchRequest(req, res);
 });
+app.post("/api/show", ensureCopilotSetup, (req, res) => {
+  return handleModelShowRequest(req, res);
+});
 app.post("/api/chat", ensureCopilotSetup, (req, res) => {
   return handleChatRequest(req, res);
 });
+app.post("/api/generate", ensureCopilotSetup, (req, res) => {
+  return handleGenerateRequest(req, res);
+});
+app.post("/api/embed", ensureCopilotSetup, (req, res) => {
+  return handleEmbedRequest(req, res);
+});
+app.post("/api/embeddings", ensureCopilotSetup, (req, res) => {
+  return handleLegacyEmbeddingRequest(req, res);
+});
 app.post("/v1/chat/completions", ensureCopilotSetup, (req, res) => {
   return handleOpenAIChatRequest(req, res);
 });
+app.post("/v1/embeddings", ensureCopilotSetup, (req, res) => {
+  return handleOpenAIEmbeddingRequest(req, res);
+});
+app.post("/v1/responses", ensureCopilotSetup, (req, res) => {
+  return handleOpenAIResponseRequest(req, res);
+});
+app.get("/v1/responses/:id", (req, res) => {
+  return handleOpenAIResponseFetchRequest(req, res);
+});
+app.delete("/v1/responses/:id", (req, res) => {
+  return handleOpenAIResponseDeleteRequest(req, res);
+});
+app.post("/v1/messages", ensureCopilotSetup, (req, res) => {
+  return handleAnthropicMessageRequest(req, res);
+});
+app.get("/v1/models", ensureCopilotSetup, (req, res) => {
+  return handleOpenAIModelListRequest(req, res);
+});
+app.get("/v1/models/:id", ensureCopilotSetup, (req, res) => {
+  return handleOpenAIModelRequest(req, res);
+});
+
+// Sign-in endpoints
+app.get("/auth/device-code", authorizeAdmin, (req, res) => {
+  return handleDeviceCodeRequest(req, res);
+});
+
+// Admin endpoints
+app.get("/admin/pool", authorizeAdmin, (req, res) => {
+  return handlePoolStateRequest(req, res);
+});
+app.get("/admin/usage", authorizeAdmin, async (req, res) => {
+  return handleUsageRequest(req, res);
+});
 
 // Add enhanced error handling middleware
 app.use((err, req, res, next) => {
   console.error("Unhandled server error:", err);
-  res.status(500).json({
-    error: "Internal server error",
-    message: err.message,
-    stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
-  });
+  sendError(req, res, err.status || 500, err.message);
 });
 
 // Start the server
@@ -0,0 +1,311 @@
+/**
+ * Github Copilot Account Pool
+ *
+ * Distributes requests round-robin across the profiles of several signed-in
+ * accounts. An account which is rate limited is taken out of the rotation until
+ * its `Retry-After` has passed, and the request is retried on the next account.
+ */
+
+// How long an account is ejected when the upstream doesn't send Retry-After
+const DEFAULT_EJECT_MS = 60 * 1000;
+// How often an account which isn't ready is checked again
+const RECHECK_INTERVAL_MS = 60 * 1000;
+
+export class CopilotAccountPool {
+  constructor(profileManager, profileNames) {
+    this.name = "pool";
+    this.profileManager = profileManager;
+    this.accounts = profileNames.map((name) => ({
+      name,
+      ejectedUntil: 0,
+      checkedAt: 0,
+      requests: 0,
+      rateLimited: 0,
+      lastError: null,
+    }));
+    this.nextIndex = 0;
+    this.chatClient = new CopilotPoolChatClient(this);
+  }
+
+  /**
+   * The model client of the next healthy account
+   */
+  get modelClient() {
+    return this.#pickProfile().modelClient;
+  }
+
+  /**
+   * The completion client of the next healthy account
+   */
+  get completionClient() {
+    return this.#pickProfile().completionClient;
+  }
+
+  /**
+   * Whether any account of the pool is ready to serve requests
+   */
+  get ready() {
+    return this.accounts.some((account) => this.#getReadyProfile(account));
+  }
+
+  /**
+   * Sets up the accounts which aren't ready yet, each at most once a minute.
+   * Accounts which are still being set up, e.g. waiting for a sign-in, are skipped.
+   *
+   * @returns {Promise<boolean>} True if any account is ready
+   */
+  async setup() {
+    await Promise.all(
+      this.accounts.map(async (account) => {
+        const profile = this.profileManager.getProfile(account.name);
+        if (!profile || profile.status?.ready || profile.setupPromise) {
+          return;
+        }
+        if (Date.now() - account.checkedAt < RECHECK_INTERVAL_MS) {
+          return;
+        }
+        account.checkedAt = Date.now();
+        const result = await profile.setup();
+        if (!result.success) {
+          account.lastError = result.error;
+        }
+      }),
+    );
+    return this.ready;
+  }
+
+  /**
+   * Sends a request with the next healthy account, moving on to the next one
+   * as long as the accounts are rate limited.
+   *
+   * @param {Function} send - Sends the request with a profile, returns a result
+   *   object with `success`, `error`, `statusCode` and `retryAfterMs`
+   * @param {Object} [requestOptions={}] - Options of the request:
+   *   - onAccount: {Function} Called with the profile name before the request is sent with an account
+   *
+   * @returns {Promise<Object>} The result of the first account which isn't rate limited,
+   *   with the account's profile name in `profile`, or a 429 result if all of them are
+   */
+  async run(send, { onAccount = null } = {}) {
+    const tried = new Set();
+    let lastResult = null;
+    let account;
+    while ((account = this.#nextAccount(tried))) {
+      tried.add(account);
+      account.requests++;
+      if (onAccount) {
+        onAccount(account.name);
+      }
+      const result = await send(this.profileManager.getProfile(account.name));
+      result.profile = account.name;
+      if (result.success || !isRateLimited(result)) {
+        if (!result.success) {
+          account.lastError = result.error;
+        }
+        return result;
+      }
+
+      const ejectMs = result.retryAfterMs ?? DEFAULT_EJECT_MS;
+      account.ejectedUntil = Date.now() + ejectMs;
+      account.rateLimited++;
+      account.lastError = result.error;
+      lastResult = result;
+      console.warn(
+        `Account ${account.name} is rate limited, ejecting it from the pool for ${Math.ceil(ejectMs / 1000)}s`,
+      );
+    }
+
+    return {
+      success: false,
+      error:
+        lastResult?.error ||
+        "All GitHub Copilot accounts in the pool are rate limited",
+      statusCode: 429,
+      retryAfterMs: this.#nextAvailableInMs(),
+    };
+  }
+
+  /**
+   * Describes the accounts of the pool
+   *
+   * @returns {Array<Object>} An entry per account containing:
+   *   - profile: {string} The profile name
+   *   - state: {string} `healthy`, `ejected`, `unavailable` (not signed in or
+   *     still starting) or `missing` (no such profile)
+   *   - ejectedUntil: {string|null} ISO timestamp of when an ejected account is used again
+   *   - requests: {number} Requests sent with the account
+   *   - rateLimited: {number} Requests which were rate limited
+   *   - lastError: {string|null} The last error returned for the account
+   */
+  getState() {
+    const now = Date.now();
+    return this.accounts.map((account) => {
+      const profile = this.profileManager.getProfile(account.name);
+      let state = "healthy";
+      if (!profile) {
+        state = "missing";
+      } else if (!profile.status?.ready) {
+        state = "unavailable";
+      } else if (account.ejectedUntil > now) {
+        state = "ejected";
+      }
+      return {
+        profile: account.name,
+        state,
+        ejectedUntil:
+          account.ejectedUntil > now
+            ? new Date(account.ejectedUntil).toISOString()
+            : null,
+        requests: account.requests,
+        rateLimited: account.rateLimited,
+        lastError: account.lastError,
+      };
+    });
+  }
+
+  #getReadyProfile(account) {
+    const profile = this.profileManager.getProfile(account.name);
+    return profile?.status?.ready ? profile : null;
+  }
+
+  #nextAccount(exclude) {
+    const now = Date.now();
+    for (let i = 0; i < this.accounts.length; i++) {
+      const index = (this.nextIndex + i) % this.accounts.length;
+      const account = this.accounts[index];
+      if (
+        !exclude.has(account) &&
+        account.ejectedUntil <= now &&
+        this.#getReadyProfile(account)
+      ) {
+        this.nextIndex = index + 1;
+        return account;
+      }
+    }
+    return null;
+  }
+
+  #pickProfile() {
+    // Fall back to an ejected account, it may still serve requests which
+    // aren't rate limited, such as listing models
+    const account =
+      this.#nextAccount(new Set()) ||
+      this.accounts.find((account) => this.#getReadyProfile(account));
+    if (!account) {
+      throw new Error("No GitHub Copilot account in the pool is ready");
+    }
+    return this.#getReadyProfile(account);
+  }
+
+  #nextAvailableInMs() {
+    const now = Date.now();
+    const waits = this.accounts
+      .filter((account) => this.#getReadyProfile(account))
+      .map((account) => Math.max(account.ejectedUntil - now, 0));
+    return waits.length > 0 ? Math.min(...waits) : DEFAULT_EJECT_MS;
+  }
+}
+
+/**
+ * Sends chat requests like `CopilotChatClient`, with the accounts of a pool
+ */
+class CopilotPoolChatClient {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  sendStreamingRequest(
+    messages,
+    onResponse,
+    options,
+    tools,
+    refreshToken,
+    requestOptions,
+  ) {
+    return this.pool.run(
+      (profile) =>
+        profile.chatClient.sendStreamingRequest(
+          messages,
+          onResponse,
+          options,
+          tools,
+          refreshToken,
+          failOverOptions(requestOptions),
+        ),
+      requestOptions,
+    );
+  }
+
+  sendRequest(messages, options, tools, refreshToken, requestOptions) {
+    return this.pool.run(
+      (profile) =>
+        profile.chatClient.sendRequest(
+          messages,
+          options,
+          tools,
+          refreshToken,
+          failOverOptions(requestOptions),
+        ),
+      requestOptions,
+    );
+  }
+
+  sendStreamingOpenaiRequest(
+    payload,
+    onResponse,
+    refreshToken,
+    requestOptions,
+  ) {
+    return this.pool.run(
+      (profile) =>
+        profile.chatClient.sendStreamingOpenaiRequest(
+          payload,
+          onResponse,
+          refreshToken,
+          failOverOptions(requestOptions),
+        ),
+      requestOptions,
+    );
+  }
+
+  sendOpenaiRequest(payload, refreshToken, requestOptions) {
+    return this.pool.run(
+      (profile) =>
+        profile.chatClient.sendOpenaiRequest(
+          payload,
+          refreshToken,
+          failOverOptions(requestOptions),
+        ),
+      requestOptions,
+    );
+  }
+
+  sendEmbeddingRequest(payload, refreshToken, requestOptions) {
+    return this.pool.run(
+      (profile) =>
+        profile.chatClient.sendEmbeddingRequest(
+          payload,
+          refreshToken,
+          failOverOptions(requestOptions),
+        ),
+      requestOptions,
+    );
+  }
+}
+
+// A rate limited account is left for the next one right away, rather than
+// retrying it after its `Retry-After`
+function failOverOptions(requestOptions = {}) {
+  return { ...requestOptions, retryRateLimits: false };
+}
+
+// Copilot answers 429 when rate limited, and 402/403 mentioning the quota when it's used up
+function isRateLimited(result) {
+  if (result.statusCode === 429) {
+    return true;
+  }
+  return (
+    [402, 403].includes(result.statusCode) &&
+    /quota|rate.?limit/i.test(result.error || "")
+  );
+}
@@ -0,0 +1,388 @@
+/**
+ * Utility functions for translating between the Anthropic Messages API and
+ * the OpenAI chat completions API used by GitHub Copilot.
+ * Provides request/response conversion and streaming event translation.
+ */
+
+const STOP_REASONS = {
+  stop: "end_turn",
+  length: "max_tokens",
+  tool_calls: "tool_use",
+  function_call: "tool_use",
+  content_filter: "refusal",
+};
+
+/**
+ * Converts an Anthropic Messages API request into an OpenAI chat completions request.
+ *
+ * @param {Object} anthropicReq - The Anthropic Messages API request body
+ *
+ * @returns {Object} The equivalent OpenAI chat completions request
+ */
+export function convertAnthropicToOpenaiReq(anthropicReq) {
+  const messages = [];
+
+  const system = textFromBlocks(anthropicReq.system);
+  if (system) {
+    messages.push({ role: "system", content: system });
+  }
+  for (const message of anthropicReq.messages || []) {
+    if (message.role === "assistant") {
+      messages.push(convertAssistantMessage(message.content));
+    } else {
+      messages.push(...convertUserMessage(message.content));
+    }
+  }
+
+  const openaiReq = {
+    model: anthropicReq.model,
+    messages: messages,
+    stream: anthropicReq.stream || false,
+  };
+  if (anthropicReq.max_tokens !== undefined) {
+    openaiReq.max_tokens = anthropicReq.max_tokens;
+  }
+  if (anthropicReq.temperature !== undefined) {
+    openaiReq.temperature = anthropicReq.temperature;
+  }
+  if (anthropicReq.top_p !== undefined) {
+    openaiReq.top_p = anthropicReq.top_p;
+  }
+  if (anthropicReq.stop_sequences && anthropicReq.stop_sequences.length > 0) {
+    openaiReq.stop = anthropicReq.stop_sequences;
+  }
+  if (anthropicReq.tools && anthropicReq.tools.length > 0) {
+    openaiReq.tools = anthropicReq.tools.map((tool) => ({
+      type: "function",
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema,
+      },
+    }));
+  }
+  if (anthropicReq.tool_choice) {
+    const toolChoice = anthropicReq.tool_choice;
+    if (toolChoice.type === "any") {
+      openaiReq.tool_choice = "required";
+    } else if (toolChoice.type === "tool") {
+      openaiReq.tool_choice = {
+        type: "function",
+        function: { name: toolChoice.name },
+      };
+    } else {
+      openaiReq.tool_choice = toolChoice.type;
+    }
+    if (toolChoice.disable_parallel_tool_use) {
+      openaiReq.parallel_tool_calls = false;
+    }
+  }
+  return openaiReq;
+}
+
+/**
+ * Converts a non-streaming OpenAI chat completions response into an Anthropic message.
+ *
+ * @param {Object} openaiResp - The OpenAI chat completions response
+ *
+ * @returns {Object} The equivalent Anthropic Messages API response
+ */
+export function convertOpenaiToAnthropicResp(openaiResp) {
+  const content = [];
+  let finishReason = null;
+  for (const choice of openaiResp.choices || []) {
+    if (choice.message?.content) {
+      content.push({ type: "text", text: choice.message.content });
+    }
+    for (const toolCall of choice.message?.tool_calls || []) {
+      content.push({
+        type: "tool_use",
+        id: toolCall.id,
+        name: toolCall.function.name,
+        input: parseToolInput(toolCall.function.arguments),
+      });
+    }
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  }
+  // Some models report "stop" even though they called tools
+  const stopReason = content.some((block) => block.type === "tool_use")
+    ? "tool_use"
+    : STOP_REASONS[finishReason] || "end_turn";
+
+  return {
+    id: toMessageId(openaiResp.id),
+    type: "message",
+    role: "assistant",
+    model: openaiResp.model,
+    content: content,
+    stop_reason: stopReason,
+    stop_sequence: null,
+    usage: {
+      input_tokens: openaiResp.usage?.prompt_tokens || 0,
+      output_tokens: openaiResp.usage?.completion_tokens || 0,
+    },
+  };
+}
+
+/**
+ * Translates streamed OpenAI chat completion chunks into Anthropic SSE events.
+ * One instance must be used per response since it tracks the open content blocks.
+ */
+export class AnthropicStreamTranslator {
+  constructor(model) {
+    this.model = model;
+    this.started = false;
+    this.blockIndex = -1;
+    this.currentBlock = null;
+    this.stopReason = null;
+    this.usage = { input_tokens: 0, output_tokens: 0 };
+  }
+
+  /**
+   * Translates one OpenAI chunk into zero or more Anthropic events.
+   *
+   * @param {Object} chunk - A parsed OpenAI chat completion chunk
+   *
+   * @returns {Array<Object>} Anthropic events, each with a `type` field
+   */
+  translate(chunk) {
+    const events = [];
+    if (!this.started) {
+      events.push(this.#messageStart(chunk));
+    }
+    if (chunk.usage) {
+      this.usage = {
+        input_tokens: chunk.usage.prompt_tokens || 0,
+        output_tokens: chunk.usage.completion_tokens || 0,
+      };
+    }
+
+    for (const choice of chunk.choices || []) {
+      const delta = choice.delta || {};
+      if (delta.content) {
+        if (this.currentBlock?.type !== "text") {
+          events.push(...this.#startBlock({ type: "text", text: "" }));
+        }
+        events.push(
+          this.#blockDelta({ type: "text_delta", text: delta.content }),
+        );
+      }
+      for (const toolCallDelta of delta.tool_calls || []) {
+        const isNewToolCall =
+          this.currentBlock?.type !== "tool_use" ||
+          (toolCallDelta.id && toolCallDelta.id !== this.currentBlock.id) ||
+          (toolCallDelta.index !== undefined &&
+            toolCallDelta.index !== this.currentBlock.toolIndex);
+        if (isNewToolCall) {
+          events.push(
+            ...this.#startBlock(
+              {
+                type: "tool_use",
+                id: toolCallDelta.id,
+                name: toolCallDelta.function?.name,
+                input: {},
+              },
+              toolCallDelta.index,
+            ),
+          );
+        }
+        if (toolCallDelta.function?.arguments) {
+          events.push(
+            this.#blockDelta({
+              type: "input_json_delta",
+              partial_json: toolCallDelta.function.arguments,
+            }),
+          );
+        }
+      }
+      if (choice.finish_reason) {
+        this.stopReason =
+          this.stopReason === "tool_use"
+            ? "tool_use"
+            : STOP_REASONS[choice.finish_reason] || "end_turn";
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Closes the message, to be called once the upstream stream has ended.
+   *
+   * @returns {Array<Object>} The closing Anthropic events
+   */
+  finish() {
+    const events = [];
+    if (!this.started) {
+      events.push(this.#messageStart({}));
+    }
+    events.push(...this.#stopBlock());
+    events.push({
+      type: "message_delta",
+      delta: {
+        stop_reason: this.stopReason || "end_turn",
+        stop_sequence: null,
+      },
+      usage: this.usage,
+    });
+    events.push({ type: "message_stop" });
+    return events;
+  }
+
+  #messageStart(chunk) {
+    this.started = true;
+    return {
+      type: "message_start",
+      message: {
+        id: toMessageId(chunk.id),
+        type: "message",
+        role: "assistant",
+        model: chunk.model || this.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 },
+      },
+    };
+  }
+
+  #startBlock(contentBlock, toolIndex) {
+    const events = this.#stopBlock();
+    this.blockIndex += 1;
+    this.currentBlock = { ...contentBlock, toolIndex };
+    if (contentBlock.type === "tool_use") {
+      this.stopReason = "tool_use";
+    }
+    events.push({
+      type: "content_block_start",
+      index: this.blockIndex,
+      content_block: contentBlock,
+    });
+    return events;
+  }
+
+  #blockDelta(delta) {
+    return {
+      type: "content_block_delta",
+      index: this.blockIndex,
+      delta: delta,
+    };
+  }
+
+  #stopBlock() {
+    if (!this.currentBlock) {
+      return [];
+    }
+    this.currentBlock = null;
+    return [{ type: "content_block_stop", index: this.blockIndex }];
+  }
+}
+
+/**
+ * Formats an Anthropic event as a server-sent event.
+ *
+ * @param {Object} event - The Anthropic event
+ *
+ * @returns {string} The SSE frame for the event
+ */
+export function formatAnthropicEvent(event) {
+  return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+function convertUserMessage(content) {
+  if (typeof content === "string") {
+    return [{ role: "user", content: content }];
+  }
+
+  // Tool results must directly follow the assistant message with the tool calls
+  const toolMessages = [];
+  const parts = [];
+  for (const block of content || []) {
+    if (block.type === "tool_result") {
+      const resultText = textFromBlocks(block.content);
+      toolMessages.push({
+        role: "tool",
+        tool_call_id: block.tool_use_id,
+        content: block.is_error ? `Error: ${resultText}` : resultText,
+      });
+    } else if (block.type === "text") {
+      parts.push({ type: "text", text: block.text });
+    } else if (block.type === "image") {
+      const source = block.source || {};
+      const url =
+        source.type === "url"
+          ? source.url
+          : `data:${source.media_type};base64,${source.data}`;
+      parts.push({ type: "image_url", image_url: { url: url } });
+    }
+  }
+
+  const messages = [...toolMessages];
+  if (parts.length > 0) {
+    const textOnly = parts.every((part) => part.type === "text");
+    messages.push({
+      role: "user",
+      content: textOnly ? parts.map((part) => part.text).join("\n") : parts,
+    });
+  }
+  return messages;
+}
+
+function convertAssistantMessage(content) {
+  if (typeof content === "string") {
+    return { role: "assistant", content: content };
+  }
+
+  const message = { role: "assistant", content: "" };
+  for (const block of content || []) {
+    if (block.type === "text") {
+      message.content += block.text;
+    } else if (block.type === "tool_use") {
+      if (!message.tool_calls) {
+        message.tool_calls = [];
+      }
+      message.tool_calls.push({
+        id: block.id,
+        type: "function",
+        function: {
+          name: block.name,
+          arguments: JSON.stringify(block.input || {}),
+        },
+      });
+    }
+  }
+  return message;
+}
+
+function textFromBlocks(content) {
+  if (!content) {
+    return "";
+  }
+  if (typeof content === "string") {
+    return content;
+  }
+  return content
+    .filter((block) => block.type === "text")
+    .map((block) => block.text)
+    .join("\n");
+}
+
+function parseToolInput(args) {
+  if (!args) {
+    return {};
+  }
+  try {
+    return JSON.parse(args);
+  } catch (e) {
+    console.warn(`Failed to parse tool input(${args}): ${e.message}`);
+    return {};
+  }
+}
+
+function toMessageId(id) {
+  if (id && id.startsWith("msg_")) {
+    return id;
+  }
+  return `msg_${id || Date.now().toString(36)}`;
+}
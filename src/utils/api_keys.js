@@ -0,0 +1,192 @@
+/**
+ * API keys for clients of the proxy server
+ *
+ * Keys are stored hashed in `api-keys.json` under the config path, so the key
+ * itself is only shown once when it's created. As long as no key exists, the
+ * server doesn't require one. The file is read once and read again after it
+ * changes, e.g. through `ghcp.js keys create`, which is noticed by watching its
+ * directory.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { writePrivateFile } from "./credential_store.js";
+import { sysConfigPath } from "../config.js";
+
+const KEY_PREFIX = "ghcp_";
+
+export class ApiKeyStore {
+  constructor(filePath = path.join(sysConfigPath(), "api-keys.json")) {
+    this.filePath = filePath;
+    this.keys = [];
+    this.loaded = false;
+    this.watcher = null;
+  }
+
+  /**
+   * Whether clients need a key, i.e. any key has been created
+   */
+  get enabled() {
+    return this.list().length > 0;
+  }
+
+  /**
+   * Creates a new key
+   *
+   * @param {Object} [options={}] - Key options:
+   *   - name: {string} A name to recognize the key by
+   *   - models: {Array<string>|null} Models the key may use, all models if not set
+   *   - profile: {string|null} Profile the key's requests are served with
+   *   - rateLimits: {Object|null} `requestsPerMinute` and `tokensPerDay` of the key,
+   *     overriding the server's per-client limits
+   *   - admin: {boolean} Whether the key may use the `/admin` endpoints
+   *
+   * @returns {Object} The stored key entry, plus the key itself in `key`
+   */
+  create({
+    name = null,
+    models = null,
+    profile = null,
+    rateLimits = null,
+    admin = false,
+  } = {}) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+    const entry = {
+      id: `key_${crypto.randomBytes(4).toString("hex")}`,
+      name,
+      hash: hashKey(key),
+      hint: `${key.slice(0, KEY_PREFIX.length + 4)}...`,
+      models: models && models.length > 0 ? models : null,
+      profile,
+      rate_limits:
+        rateLimits && Object.keys(rateLimits).length > 0 ? rateLimits : null,
+      admin,
+      created_at: new Date().toISOString(),
+    };
+    this.#save([...this.list(), entry]);
+    return { ...entry, key };
+  }
+
+  /**
+   * Lists the stored keys
+   *
+   * @returns {Array<Object>} The key entries, without the keys themselves
+   */
+  list() {
+    this.#load();
+    return this.keys;
+  }
+
+  /**
+   * Revokes a key
+   *
+   * @param {string} id - The ID of the key
+   *
+   * @returns {boolean} True if the key existed
+   */
+  revoke(id) {
+    const keys = this.list();
+    const remaining = keys.filter((entry) => entry.id !== id);
+    if (remaining.length === keys.length) {
+      return false;
+    }
+    this.#save(remaining);
+    return true;
+  }
+
+  /**
+   * Looks up the entry of a key sent by a client
+   *
+   * @param {string|undefined} key - The key
+   *
+   * @returns {Object|null} The key entry, null if the key is unknown
+   */
+  verify(key) {
+    if (!key) {
+      return null;
+    }
+    const hash = Buffer.from(hashKey(key), "hex");
+    return (
+      this.list().find((entry) =>
+        crypto.timingSafeEqual(Buffer.from(entry.hash, "hex"), hash),
+      ) || null
+    );
+  }
+
+  #load() {
+    if (this.loaded) {
+      return;
+    }
+    this.#watch();
+    // Without a watcher changes can't be noticed, so read again next time
+    this.loaded = this.watcher !== null;
+    if (!fs.existsSync(this.filePath)) {
+      this.keys = [];
+      return;
+    }
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.keys = Array.isArray(data.keys) ? data.keys : [];
+    } catch (error) {
+      console.error(`Error reading API keys file ${this.filePath}:`, error);
+      // Keep the keys read before rather than letting every client in
+    }
+  }
+
+  #save(keys) {
+    writePrivateFile(this.filePath, JSON.stringify({ keys }, null, 2));
+    this.#watch();
+    this.keys = keys;
+    this.loaded = this.watcher !== null;
+  }
+
+  #watch() {
+    if (this.watcher) {
+      return;
+    }
+    // Watch the directory since the file may not exist yet or be replaced
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      return;
+    }
+    try {
+      const fileName = path.basename(this.filePath);
+      this.watcher = fs.watch(directory, (_, changed) => {
+        if (!changed || changed === fileName) {
+          this.loaded = false;
+        }
+      });
+      this.watcher.on("error", (error) => {
+        console.error(`Error watching API keys file ${this.filePath}:`, error);
+        this.watcher.close();
+        this.watcher = null;
+        this.loaded = false;
+      });
+      this.watcher.unref();
+    } catch (error) {
+      console.warn(
+        `Can't watch API keys file ${this.filePath}, keys created by other processes won't be noticed: ${error.message}`,
+      );
+    }
+  }
+}
+
+/**
+ * Checks whether a key may use a model
+ *
+ * @param {Object|null} keyEntry - The key entry, null when keys aren't required
+ * @param {string|undefined} modelId - The requested model, an Ollama `:latest` tag is ignored
+ *
+ * @returns {boolean} True if the model may be used
+ */
+export function isModelAllowed(keyEntry, modelId) {
+  if (!keyEntry?.models || !modelId) {
+    return true;
+  }
+  return keyEntry.models.includes(modelId.replace(/:latest$/, ""));
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
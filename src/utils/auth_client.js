@@ -10,20 +10,147 @@
 import fs from "fs";
 import open from "open";
 import path from "path";
+import qrcode from "qrcode-terminal";
+import { getCredentialStore } from "./credential_store.js";
 import { sendHttpRequest } from "./http_utils.js";
-import { sysConfigPath } from "../config.js";
+import {
+  DEFAULT_PROFILE,
+  githubApiUrl,
+  profileConfigPath,
+  profileGithubHost,
+  signInOptions,
+} from "../config.js";
+
+// Token refreshes in flight, keyed by token file, shared by all instances so
+// concurrent callers wait for the same refresh instead of starting their own
+const inflightRefreshes = new Map();
+
+// Refresh tokens at least this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Device codes of the sign-ins waiting for the user, keyed by profile
+const pendingSignIns = new Map();
+
+// Cached token files, keyed by path, shared by all instances
+const tokenFileCaches = new Map();
+
+// Signed-in statuses of the language server, keyed by profile config path,
+// shared by all instances. Kept until signing in or out, or until the stored
+// token changes, e.g. by `ghcp.js signin` in another process
+const signInStatuses = new Map();
+
+/**
+ * In-memory copy of a token kept in the credential store. The token is read
+ * once and only read again after it changes, either through `write` or by
+ * another process (e.g. `ghcp.js signin`), which is noticed by watching the
+ * directory of the file it's stored in. Changes to tokens stored in the
+ * keyring by other processes aren't noticed.
+ */
+class TokenFileCache {
+  constructor(filePath, store = getCredentialStore()) {
+    this.filePath = filePath;
+    this.store = store;
+    this.loaded = false;
+    this.exists = false;
+    this.data = null;
+    this.modifiedAtMs = null;
+    this.watcher = null;
+  }
+
+  read() {
+    if (!this.loaded) {
+      this.#load();
+    }
+    return this.data;
+  }
+
+  write(data) {
+    this.store.write(this.filePath, data);
+    this.#watch();
+    this.loaded = true;
+    this.exists = true;
+    this.data = data;
+    this.modifiedAtMs = Date.now();
+  }
+
+  remove() {
+    this.store.remove(this.filePath);
+    this.loaded = true;
+    this.exists = false;
+    this.data = null;
+    this.modifiedAtMs = null;
+  }
+
+  invalidate() {
+    this.loaded = false;
+  }
+
+  #load() {
+    this.#watch();
+    this.loaded = true;
+    this.exists = false;
+    this.data = null;
+    this.modifiedAtMs = null;
+    try {
+      this.data = this.store.read(this.filePath);
+      this.exists = this.data !== null;
+      const storagePath = this.store.storagePath(this.filePath);
+      if (this.exists && storagePath) {
+        this.modifiedAtMs = fs.statSync(storagePath).mtimeMs;
+      }
+    } catch (error) {
+      console.error(`Error reading token ${this.filePath}:`, error);
+    }
+  }
+
+  #watch() {
+    const storagePath = this.store.storagePath(this.filePath);
+    if (this.watcher || !storagePath) {
+      return;
+    }
+    // Watch the directory since the file may not exist yet or be replaced
+    try {
+      const fileName = path.basename(storagePath);
+      this.watcher = fs.watch(path.dirname(storagePath), (_, changed) => {
+        if (!changed || changed === fileName) {
+          this.invalidate();
+        }
+      });
+      this.watcher.on("error", (error) => {
+        console.error(`Error watching token file ${storagePath}:`, error);
+        this.watcher.close();
+      });
+      this.watcher.unref();
+    } catch (error) {
+      console.warn(
+        `Can't watch token file ${storagePath}, changes by other processes won't be noticed: ${error.message}`,
+      );
+    }
+  }
+}
+
+function getTokenFileCache(filePath) {
+  let cache = tokenFileCaches.get(filePath);
+  if (!cache) {
+    cache = new TokenFileCache(filePath);
+    tokenFileCaches.set(filePath, cache);
+  }
+  return cache;
+}
 
 export class CopilotAuth {
-  constructor(lspClient) {
+  constructor(lspClient, profile = DEFAULT_PROFILE) {
     this.lspClient = lspClient;
+    this.profile = profile;
 
-    this.configPath = sysConfigPath();
+    this.configPath = profileConfigPath(profile);
     this.oauthTokenPath = path.join(this.configPath, "apps.json");
     this.githubTokenPath = path.join(this.configPath, "github-token.json");
 
     if (!fs.existsSync(this.configPath)) {
       fs.mkdirSync(this.configPath, { recursive: true });
     }
+    this.tokenCache = getTokenFileCache(this.githubTokenPath);
   }
 
   /**
@@ -37,34 +164,20 @@ export class CopilotAuth {
    *   - authenticated: {boolean} Whether the user is authenticated
    *   - tokenExists: {boolean} Whether the GitHub token file exists
    *   - tokenValid: {boolean} Whether the token is valid and not expired
+   *   - githubHost: {string} The GitHub host the token was issued by, or the profile's host
    */
   async checkStatus(params = {}) {
-    const status = {};
-    try {
-      const lspStatus = await this.lspClient.request("checkStatus", params);
-      status.user = lspStatus.user || null;
-      status.lspStatus = lspStatus.status || "Unknown";
-      status.authenticated = !!lspStatus.user;
-    } catch (error) {
-      console.error("Error checking status with LSP:", error);
-      status.lspStatus = "Error";
-      status.authenticated = false;
-    }
+    const status = { ...(await this.#checkSignInStatus(params)) };
 
-    status.tokenExists = fs.existsSync(this.githubTokenPath);
+    const tokenData = this.tokenCache.read();
+    status.tokenExists = this.tokenCache.exists;
 
-    if (status.tokenExists) {
-      try {
-        const tokenContent = fs.readFileSync(this.githubTokenPath, "utf8");
-        const tokenData = JSON.parse(tokenContent);
-        status.tokenExpired = this.#checkTokenExpired(tokenData);
-        status.tokenValid = !status.tokenExpired;
-      } catch (error) {
-        console.error("Error parsing GitHub token:", error);
-        status.tokenValid = false;
-      }
+    status.githubHost =
+      tokenData?.github_host || profileGithubHost(this.profile);
+    if (tokenData) {
+      status.tokenExpired = this.#checkTokenExpired(tokenData);
+      status.tokenValid = !status.tokenExpired;
     } else {
-      status.tokenExists = false;
       status.tokenValid = false;
     }
 
@@ -88,9 +201,10 @@ export class CopilotAuth {
     try {
       if (!status.authenticated) {
         await this.#signInGithHub();
+        signInStatuses.delete(this.configPath);
       }
       if (!status.tokenValid || force) {
-        await this.#fetchAndStoreGitHubToken();
+        await this.refreshGithubToken();
       }
       const finalStatus = await this.checkStatus();
       console.log("Signed in as user:", finalStatus.user);
@@ -119,9 +233,8 @@ export class CopilotAuth {
     try {
       await this.lspClient.request("signOut", {});
 
-      if (fs.existsSync(this.githubTokenPath)) {
-        fs.unlinkSync(this.githubTokenPath);
-      }
+      signInStatuses.delete(this.configPath);
+      this.tokenCache.remove();
       console.log(`Signed out from GitHub Copilot as user: ${status.user}`);
       return true;
     } catch (error) {
@@ -130,6 +243,38 @@ export class CopilotAuth {
     }
   }
 
+  /**
+   * Returns the device code of the sign-in waiting for the user to enter it
+   *
+   * @returns {Object|null} An object containing:
+   *   - userCode: {string} The one-time code to enter
+   *   - verificationUri: {string} The page to enter the code on
+   *   - githubHost: {string} The GitHub host being signed in to
+   *   - expiresAt: {string|null} ISO timestamp of when the code expires
+   *   Returns null if no sign-in is pending
+   */
+  getPendingSignIn() {
+    const pendingSignIn = pendingSignIns.get(this.profile);
+    return pendingSignIn ? { ...pendingSignIn } : null;
+  }
+
+  /**
+   * Reads the user signed in to the profile's GitHub host from the stored OAuth
+   * token, without asking the language server
+   *
+   * @returns {string|null} The GitHub user name, null if not signed in
+   */
+  getSignedInUser() {
+    try {
+      return (
+        this.#readOAuthEntry(profileGithubHost(this.profile))?.user || null
+      );
+    } catch (error) {
+      console.error("Error reading GitHub OAuth token:", error);
+      return null;
+    }
+  }
+
   /**
    * Retrieves the stored GitHub token and API endpoint if available
    *
@@ -142,9 +287,8 @@ export class CopilotAuth {
     try {
       let githubToken = null;
       let apiEndpoint = null;
-      if (fs.existsSync(this.githubTokenPath)) {
-        const tokenContent = fs.readFileSync(this.githubTokenPath, "utf8");
-        const tokenData = JSON.parse(tokenContent);
+      const tokenData = this.tokenCache.read();
+      if (tokenData) {
         apiEndpoint = tokenData.endpoints.api;
         githubToken = tokenData.token;
       }
@@ -155,6 +299,122 @@ export class CopilotAuth {
     }
   }
 
+  /**
+   * Drops the in-memory copy of the stored GitHub token
+   * The token is read from disk again on next use
+   */
+  invalidateTokenCache() {
+    this.tokenCache.invalidate();
+  }
+
+  /**
+   * Reads when the stored GitHub token expires and when it should be refreshed
+   *
+   * @returns {Object|null} An object containing:
+   *   - expiresAt: {Date|null} When the token expires
+   *   - refreshAt: {Date|null} When the token should be refreshed, derived from `refresh_in`
+   *     or a few minutes before expiry
+   *   Returns null if no token is stored
+   */
+  getTokenExpiry() {
+    try {
+      const tokenData = this.tokenCache.read();
+      if (!tokenData) {
+        return null;
+      }
+      const expiresAt = tokenData.expires_at
+        ? new Date(tokenData.expires_at * 1000)
+        : null;
+
+      let refreshAt = null;
+      if (tokenData.refresh_in) {
+        const fetchedAt = tokenData.fetched_at
+          ? tokenData.fetched_at * 1000
+          : (this.tokenCache.modifiedAtMs ?? Date.now());
+        refreshAt = new Date(fetchedAt + tokenData.refresh_in * 1000);
+      }
+      if (expiresAt) {
+        const refreshBeforeExpiry = new Date(
+          expiresAt.getTime() - TOKEN_EXPIRY_MARGIN_MS,
+        );
+        if (!refreshAt || refreshBeforeExpiry < refreshAt) {
+          refreshAt = refreshBeforeExpiry;
+        }
+      }
+      return { expiresAt, refreshAt };
+    } catch (error) {
+      console.error("Error reading GitHub token expiry:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether the stored GitHub token is missing or expires soon
+   *
+   * @param {number} [marginMs=60000] - How long before expiry a token counts as expiring
+   *
+   * @returns {boolean} True if the token should be refreshed before use
+   */
+  isTokenExpiring(marginMs = 60 * 1000) {
+    const expiry = this.getTokenExpiry();
+    if (!expiry) {
+      return true;
+    }
+    if (!expiry.expiresAt) {
+      return false;
+    }
+    return expiry.expiresAt.getTime() - marginMs <= Date.now();
+  }
+
+  /**
+   * Exchanges the OAuth token for a new GitHub token and stores it
+   * Concurrent calls share a single in-flight refresh
+   *
+   * @returns {Promise<void>}
+   *
+   * @throws {Error} If the OAuth token is missing or the token exchange fails
+   */
+  async refreshGithubToken() {
+    let refresh = inflightRefreshes.get(this.githubTokenPath);
+    if (!refresh) {
+      refresh = this.#fetchAndStoreGitHubToken().finally(() => {
+        inflightRefreshes.delete(this.githubTokenPath);
+      });
+      inflightRefreshes.set(this.githubTokenPath, refresh);
+    }
+    return await refresh;
+  }
+
+  // Asks the language server who is signed in, unless it said so before and
+  // the sign-in hasn't changed since
+  async #checkSignInStatus(params) {
+    // The token cache is invalidated when the stored token changed on disk
+    if (!this.tokenCache.loaded) {
+      signInStatuses.delete(this.configPath);
+    }
+    const cachedStatus = signInStatuses.get(this.configPath);
+    if (cachedStatus) {
+      return cachedStatus;
+    }
+
+    try {
+      const lspStatus = await this.lspClient.request("checkStatus", params);
+      const status = {
+        user: lspStatus.user || null,
+        lspStatus: lspStatus.status || "Unknown",
+        authenticated: !!lspStatus.user,
+      };
+      // Not signed in is asked again, the user may sign in any time
+      if (status.authenticated) {
+        signInStatuses.set(this.configPath, status);
+      }
+      return status;
+    } catch (error) {
+      console.error("Error checking status with LSP:", error);
+      return { lspStatus: "Error", authenticated: false };
+    }
+  }
+
   #checkTokenExpired(tokenData) {
     if (tokenData.expires_at) {
       const expiresAt = new Date(tokenData.expires_at * 1000);
@@ -182,17 +442,35 @@ export class CopilotAuth {
       throw new Error("Invalid sign in response from Github Copilot");
     }
 
-    const { userCode, verificationUri } = signInResponse;
-    console.log("\n=== GitHub Copilot Authentication ===");
-    console.log(`Your one-time code: ${userCode}`);
-    console.log(`Please visit: ${verificationUri}`);
-    console.log("Enter the code there to authenticate with GitHub Copilot");
-    console.log("Waiting for authentication to complete...\n");
-    await open(verificationUri);
-
-    const confirmResponse = await this.lspClient.request("signInConfirm", {
+    const { userCode, verificationUri, expiresIn } = signInResponse;
+    const { headless, output } = signInOptions();
+    const pendingSignIn = {
       userCode,
-    });
+      verificationUri,
+      githubHost: profileGithubHost(this.profile),
+      expiresAt: expiresIn
+        ? new Date(Date.now() + expiresIn * 1000).toISOString()
+        : null,
+    };
+    pendingSignIns.set(this.profile, pendingSignIn);
+    this.#printDeviceCode(pendingSignIn, output);
+
+    if (!headless) {
+      try {
+        await open(verificationUri);
+      } catch (error) {
+        console.warn(`Could not open a browser: ${error.message}`);
+      }
+    }
+
+    let confirmResponse;
+    try {
+      confirmResponse = await this.lspClient.request("signInConfirm", {
+        userCode,
+      });
+    } finally {
+      pendingSignIns.delete(this.profile);
+    }
     if (confirmResponse.status.toLowerCase() !== "ok") {
       throw new Error(
         `Authentication failed from Github Copilot: ${confirmResponse.error?.message || "Unknown error"}`,
@@ -204,6 +482,22 @@ export class CopilotAuth {
     );
   }
 
+  #printDeviceCode(deviceCode, output) {
+    if (output === "json") {
+      console.log(JSON.stringify(deviceCode));
+      return;
+    }
+
+    console.log("\n=== GitHub Copilot Authentication ===");
+    if (output === "qr") {
+      qrcode.generate(deviceCode.verificationUri, { small: true });
+    }
+    console.log(`Your one-time code: ${deviceCode.userCode}`);
+    console.log(`Please visit: ${deviceCode.verificationUri}`);
+    console.log("Enter the code there to authenticate with GitHub Copilot");
+    console.log("Waiting for authentication to complete...\n");
+  }
+
   async #fetchAndStoreGitHubToken() {
     console.log("Fetching GitHub token...");
 
@@ -211,42 +505,45 @@ export class CopilotAuth {
       throw new Error("Github Copilot authentication is not complete.");
     }
 
-    const oauthContent = fs.readFileSync(this.oauthTokenPath, "utf8");
-    const oauthData = JSON.parse(oauthContent);
-    let oauthToken = null;
-    for (const key in oauthData) {
-      if (key.startsWith("github.com:") && oauthData[key].oauth_token) {
-        oauthToken = oauthData[key].oauth_token;
-        break;
-      }
-    }
+    const host = profileGithubHost(this.profile);
+    const oauthToken = this.#readOAuthEntry(host)?.oauth_token;
     if (!oauthToken) {
-      throw new Error(`OAuth token not found in file ${this.oauthTokenPath}`);
+      throw new Error(
+        `OAuth token for ${host} not found in file ${this.oauthTokenPath}`,
+      );
     }
 
-    const tokenData = await this.#requestGitHubToken(oauthToken);
+    const tokenData = await this.#requestGitHubToken(oauthToken, host);
     if (tokenData.data) {
-      fs.writeFileSync(
-        this.githubTokenPath,
-        JSON.stringify(tokenData.data, null, 2),
-        "utf8",
-      );
+      // `refresh_in` is relative to when the token was fetched
+      tokenData.data.fetched_at = Math.floor(Date.now() / 1000);
+      tokenData.data.github_host = host;
+      this.tokenCache.write(tokenData.data);
       console.log("GitHub token stored successfully");
     } else {
       throw new Error("Failed to fetch GitHub token");
     }
   }
 
-  async #requestGitHubToken(oauthToken) {
-    return await sendHttpRequest(
-      "api.github.com",
-      "/copilot_internal/v2/token",
-      "GET",
-      {
-        Authorization: `Bearer ${oauthToken}`,
-        Accept: "application/json",
-        "User-Agent": "github-copilot",
-      },
-    );
+  #readOAuthEntry(host) {
+    if (!fs.existsSync(this.oauthTokenPath)) {
+      return null;
+    }
+    const oauthData = JSON.parse(fs.readFileSync(this.oauthTokenPath, "utf8"));
+    for (const key in oauthData) {
+      if (key.startsWith(`${host}:`) && oauthData[key].oauth_token) {
+        return oauthData[key];
+      }
+    }
+    return null;
+  }
+
+  async #requestGitHubToken(oauthToken, host) {
+    const url = new URL(`${githubApiUrl(host)}/copilot_internal/v2/token`);
+    return await sendHttpRequest(url.hostname, url.pathname, "GET", {
+      Authorization: `Bearer ${oauthToken}`,
+      Accept: "application/json",
+      "User-Agent": "github-copilot",
+    });
   }
 }
@@ -6,12 +6,30 @@
 import { CopilotAuth } from "./auth_client.js";
 import { CopilotModels } from "./model_client.js";
 import { sendHttpRequest, sendHttpStreamingRequest } from "./http_utils.js";
-import { editorConfig } from "../config.js";
+import { convertOllamaOptions } from "./ollama_options.js";
+import {
+  buildSchemaPrompt,
+  validateStructuredContent,
+} from "./structured_output.js";
+import {
+  DEFAULT_PROFILE,
+  editorConfig,
+  structuredOutputConfig,
+} from "../config.js";
+
+// Error messages of the requests to the Copilot API, in the order http_utils.js takes them
+const REQUEST_ERROR_MESSAGES = [
+  "Failed to parse Copilot API response",
+  "Copilot API returned status code",
+  "Error sending request to Copilot API",
+];
+// Ollama options which were ignored, so each is only warned about once
+const warnedIgnoredOptions = new Set();
 
 export class CopilotChatClient {
-  constructor(lspClient) {
-    this.auth = new CopilotAuth(lspClient);
-    this.models = new CopilotModels(lspClient);
+  constructor(lspClient, profile = DEFAULT_PROFILE) {
+    this.auth = new CopilotAuth(lspClient, profile);
+    this.models = new CopilotModels(lspClient, profile);
   }
 
   /**
@@ -22,6 +40,7 @@ export class CopilotChatClient {
    * @param {Object} [options={}] - Additional options for the request
    * @param {Array|null} [tools=null] - Array of tools available to the model
    * @param {boolean} [refreshToken=true] - Whether to attempt token refresh if invalid
+   * @param {Object} [requestOptions={}] - Options of the upstream request, e.g. `signal` to cancel it, see http_utils.js
    *
    * @returns {Promise<{success: boolean, error?: string}>} Result of the streaming request
    */
@@ -31,6 +50,7 @@ export class CopilotChatClient {
     options = {},
     tools = null,
     refreshToken = true,
+    requestOptions = {},
   ) {
     try {
       const tokenStatus = await this.#checkGithubToken(refreshToken);
@@ -38,7 +58,18 @@ export class CopilotChatClient {
         return tokenStatus;
       }
 
-      return await this.#doSendRequest(messages, onResponse, options, tools);
+      return await this.#retryOnUnauthorized(
+        () =>
+          this.#doSendRequest(
+            messages,
+            onResponse,
+            options,
+            tools,
+            true,
+            requestOptions,
+          ),
+        refreshToken,
+      );
     } catch (error) {
       console.error("Error sending chat messages:", error);
       return {
@@ -55,17 +86,35 @@ export class CopilotChatClient {
    * @param {Object} [options={}] - Additional options for the request
    * @param {Array|null} [tools=null] - Array of tools available to the model
    * @param {boolean} [refreshToken=true] - Whether to attempt token refresh if invalid
+   * @param {Object} [requestOptions={}] - Options of the upstream request, e.g. `signal` to cancel it, see http_utils.js
    *
    * @returns {object} Response of the non-streaming call
    */
-  async sendRequest(messages, options = {}, tools = null, refreshToken = true) {
+  async sendRequest(
+    messages,
+    options = {},
+    tools = null,
+    refreshToken = true,
+    requestOptions = {},
+  ) {
     try {
       const tokenStatus = await this.#checkGithubToken(refreshToken);
       if (!tokenStatus.success) {
         return tokenStatus;
       }
 
-      return await this.#doSendRequest(messages, null, options, tools, false);
+      return await this.#retryOnUnauthorized(
+        () =>
+          this.#doSendRequest(
+            messages,
+            null,
+            options,
+            tools,
+            false,
+            requestOptions,
+          ),
+        refreshToken,
+      );
     } catch (error) {
       console.error("Error sending chat messages:", error);
       return {
@@ -81,17 +130,26 @@ export class CopilotChatClient {
    * @param {Array} payload - The request of OpanAI request
    * @param {Function} onResponse - Callback function to handle streaming responses
    * @param {boolean} [refreshToken=true] - Whether to attempt token refresh if invalid
+   * @param {Object} [requestOptions={}] - Options of the upstream request, e.g. `signal` to cancel it, see http_utils.js
    *
    * @returns {Promise<{success: boolean, error?: string}>} Result of the streaming request
    */
-  async sendStreamingOpenaiRequest(payload, onResponse, refreshToken = true) {
+  async sendStreamingOpenaiRequest(
+    payload,
+    onResponse,
+    refreshToken = true,
+    requestOptions = {},
+  ) {
     try {
       const tokenStatus = await this.#checkGithubToken(refreshToken);
       if (!tokenStatus.success) {
         return tokenStatus;
       }
 
-      return await this.#doSendOpenaiRequest(payload, onResponse);
+      return await this.#retryOnUnauthorized(
+        () => this.#doSendOpenaiRequest(payload, onResponse, requestOptions),
+        refreshToken,
+      );
     } catch (error) {
       console.error("Error sending chat messages:", error);
       return {
@@ -106,17 +164,21 @@ export class CopilotChatClient {
    *
    * @param {Array} payload - The request of OpanAI request
    * @param {boolean} [refreshToken=true] - Whether to attempt token refresh if invalid
+   * @param {Object} [requestOptions={}] - Options of the upstream request, e.g. `signal` to cancel it, see http_utils.js
    *
    * @returns {object} Response of the non-streaming call
    */
-  async sendOpenaiRequest(payload, refreshToken = true) {
+  async sendOpenaiRequest(payload, refreshToken = true, requestOptions = {}) {
     try {
       const tokenStatus = await this.#checkGithubToken(refreshToken);
       if (!tokenStatus.success) {
         return tokenStatus;
       }
 
-      return await this.#doSendOpenaiRequest(payload);
+      return await this.#retryOnUnauthorized(
+        () => this.#doSendOpenaiRequest(payload, null, requestOptions),
+        refreshToken,
+      );
     } catch (error) {
       console.error("Error sending chat messages:", error);
       return {
@@ -126,6 +188,39 @@ export class CopilotChatClient {
     }
   }
 
+  /**
+   * Sends an embeddings request to the Copilot API.
+   *
+   * @param {Object} payload - The OpenAI embeddings request, `input` may be a string or an array of strings
+   * @param {boolean} [refreshToken=true] - Whether to attempt token refresh if invalid
+   * @param {Object} [requestOptions={}] - Options of the upstream request, e.g. `signal` to cancel it, see http_utils.js
+   *
+   * @returns {Promise<{success: boolean, data?: Object, error?: string}>} Embeddings response in OpenAI format
+   */
+  async sendEmbeddingRequest(
+    payload,
+    refreshToken = true,
+    requestOptions = {},
+  ) {
+    try {
+      const tokenStatus = await this.#checkGithubToken(refreshToken);
+      if (!tokenStatus.success) {
+        return tokenStatus;
+      }
+
+      return await this.#retryOnUnauthorized(
+        () => this.#doSendEmbeddingRequest(payload, requestOptions),
+        refreshToken,
+      );
+    } catch (error) {
+      console.error("Error sending embedding request:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   async #checkGithubToken(refreshToken) {
     // Quick check if the token is valid
     const { token, _ } = this.auth.getGithubToken();
@@ -147,16 +242,50 @@ export class CopilotChatClient {
           error: "GitHub token not valid",
         };
       }
+    } else if (this.auth.isTokenExpiring()) {
+      // Refresh ahead of expiry so the request doesn't fail with a 401
+      if (!refreshToken) {
+        return {
+          success: false,
+          error: "GitHub token is about to expire",
+        };
+      }
+      try {
+        await this.auth.refreshGithubToken();
+      } catch (error) {
+        return {
+          success: false,
+          error: `Failed to refresh GitHub token: ${error.message}`,
+        };
+      }
     }
     return { success: true };
   }
 
+  // Retries a request once with a fresh token if the Copilot API rejected the token
+  async #retryOnUnauthorized(send, refreshToken) {
+    const result = await send();
+    if (result.success || result.statusCode !== 401 || !refreshToken) {
+      return result;
+    }
+
+    console.log("Copilot API returned 401, refreshing GitHub token...");
+    try {
+      await this.auth.refreshGithubToken();
+    } catch (error) {
+      console.error("Error refreshing GitHub token:", error);
+      return result;
+    }
+    return await send();
+  }
+
   async #doSendRequest(
     messages,
     onResponse,
     options = {},
     tools,
     stream = true,
+    requestOptions = {},
   ) {
     const { token, endpoint } = this.auth.getGithubToken();
     if (!token) {
@@ -192,6 +321,24 @@ export class CopilotChatClient {
         stream,
       );
 
+      if (
+        payload.response_format &&
+        !(await this.#supportsStructuredOutputs(payload.model))
+      ) {
+        const response = await this.#sendStructuredRequest(
+          url,
+          headers,
+          payload,
+          requestOptions,
+        );
+        const ollamaResp = this.#parseToNonStreamingOllamaResp(response);
+        if (!stream) {
+          return { success: true, data: ollamaResp };
+        }
+        onResponse(this.#toOllamaStreamMessages(ollamaResp), "end");
+        return { success: true };
+      }
+
       if (stream) {
         return await sendHttpStreamingRequest(
           url.hostname,
@@ -201,6 +348,8 @@ export class CopilotChatClient {
           payload,
           onResponse,
           this.#parseToOllamaResp,
+          ...REQUEST_ERROR_MESSAGES,
+          requestOptions,
         );
       } else {
         const response = await sendHttpRequest(
@@ -209,6 +358,9 @@ export class CopilotChatClient {
           "POST",
           headers,
           payload,
+          null,
+          ...REQUEST_ERROR_MESSAGES,
+          requestOptions,
         );
         return {
           success: true,
@@ -220,11 +372,14 @@ export class CopilotChatClient {
       return {
         success: false,
         error: error.message,
+        statusCode: error.statusCode,
+        errorCode: error.errorCode,
+        retryAfterMs: error.retryAfterMs,
       };
     }
   }
 
-  async #doSendOpenaiRequest(payload, onResponse = null) {
+  async #doSendOpenaiRequest(payload, onResponse = null, requestOptions = {}) {
     const { token, endpoint } = this.auth.getGithubToken();
     if (!token) {
       return {
@@ -263,6 +418,23 @@ export class CopilotChatClient {
         payload.model = defaultModel.modelConfig.modelId;
       }
 
+      if (
+        payload.response_format &&
+        !(await this.#supportsStructuredOutputs(payload.model))
+      ) {
+        const response = await this.#sendStructuredRequest(
+          url,
+          headers,
+          payload,
+          requestOptions,
+        );
+        if (!stream) {
+          return { success: true, data: response };
+        }
+        onResponse(this.#toOpenaiStreamChunks(response), "end");
+        return { success: true };
+      }
+
       if (stream) {
         return await sendHttpStreamingRequest(
           url.hostname,
@@ -272,6 +444,8 @@ export class CopilotChatClient {
           payload,
           onResponse,
           this.#forwardOpenaiResp,
+          ...REQUEST_ERROR_MESSAGES,
+          requestOptions,
         );
       } else {
         return await sendHttpRequest(
@@ -280,6 +454,9 @@ export class CopilotChatClient {
           "POST",
           headers,
           payload,
+          null,
+          ...REQUEST_ERROR_MESSAGES,
+          requestOptions,
         );
       }
     } catch (error) {
@@ -287,10 +464,208 @@ export class CopilotChatClient {
       return {
         success: false,
         error: error.message,
+        statusCode: error.statusCode,
+        errorCode: error.errorCode,
+        retryAfterMs: error.retryAfterMs,
+      };
+    }
+  }
+
+  async #doSendEmbeddingRequest(payload, requestOptions = {}) {
+    const { token, endpoint } = this.auth.getGithubToken();
+    if (!token) {
+      return {
+        success: false,
+        error: "Could not determine GitHub token",
+      };
+    }
+    if (!endpoint) {
+      return {
+        success: false,
+        error: "Could not determine API endpoint",
+      };
+    }
+
+    try {
+      const url = new URL(`${endpoint}/embeddings`);
+      const headers = {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+        "Copilot-Integration-Id": editorConfig.copilotIntegrationId,
+        "Editor-Version": `${editorConfig.editorInfo.name}/${editorConfig.editorInfo.version}`,
+      };
+      const upstreamPayload = {
+        model: payload.model || "text-embedding-3-small",
+        input: Array.isArray(payload.input) ? payload.input : [payload.input],
+      };
+      if (payload.dimensions) {
+        upstreamPayload.dimensions = payload.dimensions;
+      }
+
+      const response = await sendHttpRequest(
+        url.hostname,
+        url.pathname,
+        "POST",
+        headers,
+        upstreamPayload,
+        null,
+        ...REQUEST_ERROR_MESSAGES,
+        requestOptions,
+      );
+      const data = response.data;
+      if (payload.encoding_format === "base64") {
+        for (const item of data.data) {
+          item.embedding = this.#encodeEmbeddingToBase64(item.embedding);
+        }
+      }
+      return { success: true, data };
+    } catch (error) {
+      console.error("Error sending embedding request:", error);
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.statusCode,
+        errorCode: error.errorCode,
+        retryAfterMs: error.retryAfterMs,
       };
     }
   }
 
+  // Same encoding as the OpenAI API: little-endian float32 values in base64
+  #encodeEmbeddingToBase64(embedding) {
+    const buffer = Buffer.alloc(embedding.length * 4);
+    embedding.forEach((value, index) => {
+      buffer.writeFloatLE(value, index * 4);
+    });
+    return buffer.toString("base64");
+  }
+
+  async #supportsStructuredOutputs(modelId) {
+    const modelResult = await this.models.getModel(modelId);
+    return (
+      modelResult.success &&
+      !!modelResult.model.capabilities?.supports?.structured_outputs
+    );
+  }
+
+  // Prompts the model with the schema and validates its reply, asking it to
+  // repair the reply when it doesn't match, for models without native support
+  async #sendStructuredRequest(url, headers, payload, requestOptions) {
+    const {
+      response_format: responseFormat,
+      stream_options,
+      ...rest
+    } = payload;
+    const messages = [
+      { role: "system", content: buildSchemaPrompt(responseFormat) },
+      ...payload.messages,
+    ];
+
+    let errors = [];
+    for (
+      let attempt = 0;
+      attempt <= structuredOutputConfig.repairRetries;
+      attempt++
+    ) {
+      const response = await sendHttpRequest(
+        url.hostname,
+        url.pathname,
+        "POST",
+        headers,
+        { ...rest, messages, stream: false },
+        null,
+        ...REQUEST_ERROR_MESSAGES,
+        requestOptions,
+      );
+      const choice = response.data.choices?.find(
+        (choice) => choice.message?.content,
+      );
+      if (!choice) {
+        // Nothing to validate, e.g. the model called a tool instead
+        return response.data;
+      }
+
+      const result = validateStructuredContent(
+        choice.message.content,
+        responseFormat,
+      );
+      if (result.valid) {
+        choice.message.content = result.content;
+        return response.data;
+      }
+
+      errors = result.errors;
+      console.warn(
+        `Structured output is invalid (attempt ${attempt + 1}): ${errors.join("; ")}`,
+      );
+      messages.push(
+        { role: "assistant", content: choice.message.content },
+        {
+          role: "user",
+          content: `Your reply is invalid: ${errors.join("; ")}. Reply again with only the corrected JSON.`,
+        },
+      );
+    }
+    throw new Error(
+      `Model output does not match the requested format: ${errors.join("; ")}`,
+    );
+  }
+
+  #toOllamaStreamMessages(ollamaResp) {
+    return [
+      {
+        model: ollamaResp.model,
+        created_at: ollamaResp.created_at,
+        message: ollamaResp.message,
+        done: false,
+      },
+      {
+        ...ollamaResp,
+        done_reason: "stop",
+        message: { role: "assistant", content: "" },
+      },
+    ];
+  }
+
+  #toOpenaiDelta(message) {
+    const delta = { role: "assistant", content: message?.content ?? "" };
+    if (message?.tool_calls) {
+      delta.tool_calls = message.tool_calls.map((toolCall, index) => ({
+        index,
+        ...toolCall,
+      }));
+    }
+    return delta;
+  }
+
+  #toOpenaiStreamChunks(openaiResp) {
+    const chunk = {
+      id: openaiResp.id,
+      object: "chat.completion.chunk",
+      created: openaiResp.created,
+      model: openaiResp.model,
+    };
+    const chunks = [];
+    for (const [index, choice] of (openaiResp.choices || []).entries()) {
+      chunks.push({
+        ...chunk,
+        choices: [
+          {
+            index: choice.index ?? index,
+            delta: this.#toOpenaiDelta(choice.message),
+            finish_reason: null,
+          },
+        ],
+      });
+    }
+    chunks.push({
+      ...chunk,
+      choices: [{ index: 0, delta: {}, finish_reason: "stop" }],
+      usage: openaiResp.usage,
+    });
+    return chunks;
+  }
+
   async #getDefaultModel() {
     try {
       return this.models.getCurrentModel();
@@ -308,14 +683,30 @@ export class CopilotChatClient {
   }
 
   #convertToOpenaiReq(messages, tools, options, model, stream) {
+    // `model` and `response_format` are set by callers, the rest are Ollama options
+    const {
+      model: _,
+      response_format: responseFormat,
+      ...ollamaOptions
+    } = options;
+    const { params, ignored } = convertOllamaOptions(ollamaOptions);
+    const unwarned = ignored.filter((name) => !warnedIgnoredOptions.has(name));
+    if (unwarned.length > 0) {
+      unwarned.forEach((name) => warnedIgnoredOptions.add(name));
+      console.warn(`Ignoring unsupported options: ${unwarned.join(", ")}`);
+    }
     const openaiReq = {
-      ...options,
+      ...params,
       model: model,
       tools: tools,
       stream: stream,
     };
-    if (messages.some((message) => message.images)) {
-      openaiReq.messages = messages.map((message) => {
+    if (responseFormat) {
+      openaiReq.response_format = responseFormat;
+    }
+    const openaiMessages = toOpenaiToolMessages(messages);
+    if (openaiMessages.some((message) => message.images)) {
+      openaiReq.messages = openaiMessages.map((message) => {
         if (!message.images) {
           return message;
         }
@@ -340,7 +731,7 @@ export class CopilotChatClient {
         };
       });
     } else {
-      openaiReq.messages = messages;
+      openaiReq.messages = openaiMessages;
     }
     return openaiReq;
   }
@@ -363,9 +754,7 @@ export class CopilotChatClient {
               Object.keys(incompleteResult.functions).length > 0
             ) {
               const toolCalls = Object.values(incompleteResult.functions).map(
-                (func) => ({
-                  function: { ...func },
-                }),
+                (func, index) => toOllamaToolCall(func, index),
               );
 
               const toolCallMessage = {
@@ -380,7 +769,8 @@ export class CopilotChatClient {
                   incompleteResult.created_at || new Date().toISOString(),
               };
               parsedMessages.push(toolCallMessage);
-              incompleteResult.currentToolFunc = null;
+              delete incompleteResult.currentToolIndex;
+              delete incompleteResult.currentToolKey;
               delete incompleteResult.functions;
             }
             const parsedMessage = {
@@ -400,35 +790,17 @@ export class CopilotChatClient {
             const createTimeString = parsed.created
               ? new Date(parsed.created * 1000).toISOString()
               : new Date().toISOString();
-            if (parsed.choices && parsed.choices[0]) {
-              const choice = parsed.choices[0];
+            for (const choice of parsed.choices || []) {
               if (choice.finish_reason) {
-                if (
-                  choice.finish_reason === "tool_calls" &&
-                  incompleteResult.functions
-                ) {
-                  Object.values(incompleteResult.functions).forEach((func) => {
-                    if (func.arguments) {
-                      try {
-                        func.arguments = JSON.parse(func.arguments);
-                      } catch (e) {
-                        console.warn(
-                          `Failed to parse arguments for tool ${func.name}(${func.arguments}) : ${e.message}`,
-                        );
-                      }
-                    }
-                  });
-                }
                 const usage = parsed.usage;
                 if (usage) {
-                  incompleteResult = {
-                    ...incompleteResult,
+                  Object.assign(incompleteResult, {
                     done_reason: "stop",
                     model: parsed.model,
                     created_at: createTimeString,
                     prompt_eval_count: usage.prompt_tokens || 0,
                     eval_count: usage.completion_tokens || 0,
-                  };
+                  });
                 }
               }
               if (choice.delta) {
@@ -450,7 +822,8 @@ export class CopilotChatClient {
                 ) {
                   if (!incompleteResult.functions) {
                     incompleteResult.functions = {};
-                    incompleteResult.currentToolFunc = null;
+                    incompleteResult.currentToolIndex = null;
+                    incompleteResult.currentToolKey = null;
                   }
                   if (!incompleteResult.model)
                     incompleteResult.model = parsed.model;
@@ -458,17 +831,7 @@ export class CopilotChatClient {
                     incompleteResult.created_at = createTimeString;
 
                   choice.delta.tool_calls.forEach((toolCallDelta) => {
-                    const toolFunc = toolCallDelta.function;
-                    if (toolFunc.name) {
-                      incompleteResult.functions[toolFunc.name] = {
-                        name: toolFunc.name,
-                        arguments: "",
-                      };
-                      incompleteResult.currentToolFunc = incompleteResult.functions[toolFunc.name];
-                    }
-                    if (toolFunc.arguments) {
-                      incompleteResult.currentToolFunc.arguments += toolFunc.arguments;
-                    }
+                    accumulateToolCall(incompleteResult, toolCallDelta);
                   });
                 }
               }
@@ -508,9 +871,18 @@ export class CopilotChatClient {
         parsedMessage.tool_calls.push(...choice.message.tool_calls);
       }
     }
-    for (const toolCall of parsedMessage.tool_calls) {
-      if (!toolCall.function.arguments) continue;
-      toolCall.function.arguments = JSON.parse(toolCall.function.arguments);
+    if (parsedMessage.tool_calls) {
+      parsedMessage.tool_calls = parsedMessage.tool_calls.map(
+        (toolCall, index) =>
+          toOllamaToolCall(
+            {
+              id: toolCall.id,
+              name: toolCall.function.name,
+              arguments: toolCall.function.arguments,
+            },
+            index,
+          ),
+      );
     }
     return {
       model: model,
@@ -552,3 +924,108 @@ export class CopilotChatClient {
     };
   }
 }
+
+/**
+ * Adds a streamed tool call delta to the calls of the response.
+ * Calls are keyed by their index, so parallel calls to the same function are
+ * kept apart. A new id at a known index also starts a new call, since some
+ * models report every call at index 0; the deltas without an id that follow
+ * belong to that call, not to the first one at the index.
+ *
+ * @param {Object} incompleteResult - The state of the stream, holding `functions`
+ * @param {Object} toolCallDelta - A tool call delta of an OpenAI stream chunk
+ */
+export function accumulateToolCall(incompleteResult, toolCallDelta) {
+  const functions = incompleteResult.functions;
+  const index = toolCallDelta.index ?? incompleteResult.currentToolIndex ?? 0;
+  let key =
+    index === incompleteResult.currentToolIndex
+      ? incompleteResult.currentToolKey
+      : index;
+  if (
+    toolCallDelta.id &&
+    functions[key]?.id &&
+    functions[key].id !== toolCallDelta.id
+  ) {
+    key = toolCallDelta.id;
+  }
+  if (!functions[key]) {
+    functions[key] = { id: toolCallDelta.id, name: "", arguments: "" };
+  }
+
+  const func = functions[key];
+  if (toolCallDelta.id) {
+    func.id = toolCallDelta.id;
+  }
+  if (toolCallDelta.function?.name) {
+    func.name = toolCallDelta.function.name;
+  }
+  if (toolCallDelta.function?.arguments) {
+    func.arguments += toolCallDelta.function.arguments;
+  }
+  incompleteResult.currentToolIndex = index;
+  incompleteResult.currentToolKey = key;
+}
+
+function toOllamaToolCall(func, index) {
+  let args = func.arguments || {};
+  if (typeof args === "string") {
+    try {
+      args = JSON.parse(args);
+    } catch (e) {
+      console.warn(
+        `Failed to parse arguments for tool ${func.name}(${args}) : ${e.message}`,
+      );
+    }
+  }
+  return {
+    id: func.id,
+    type: "function",
+    function: {
+      index: index,
+      name: func.name,
+      arguments: args,
+    },
+  };
+}
+
+// Converts Ollama tool calls (object arguments, optional ids) and tool results
+// into the OpenAI format, pairing results without `tool_call_id` with the
+// calls of the preceding assistant message in order.
+function toOpenaiToolMessages(messages) {
+  let pendingCalls = [];
+  return messages.map((message, messageIndex) => {
+    if (message.role === "assistant" && message.tool_calls) {
+      const toolCalls = message.tool_calls.map((toolCall, index) => {
+        const args = toolCall.function.arguments;
+        return {
+          id: toolCall.id || `call_${messageIndex}_${index}`,
+          type: "function",
+          function: {
+            name: toolCall.function.name,
+            arguments: typeof args === "string" ? args : JSON.stringify(args),
+          },
+        };
+      });
+      pendingCalls = [...toolCalls];
+      return { ...message, tool_calls: toolCalls };
+    }
+
+    if (message.role === "tool") {
+      const { tool_name: toolName, ...toolMessage } = message;
+      let toolCallId = message.tool_call_id;
+      const pendingIndex = pendingCalls.findIndex((call) =>
+        toolCallId
+          ? call.id === toolCallId
+          : !toolName || call.function.name === toolName,
+      );
+      if (pendingIndex >= 0) {
+        toolCallId = toolCallId || pendingCalls[pendingIndex].id;
+        pendingCalls.splice(pendingIndex, 1);
+      }
+      return { ...toolMessage, tool_call_id: toolCallId };
+    }
+
+    return message;
+  });
+}
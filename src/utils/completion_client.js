@@ -0,0 +1,147 @@
+/**
+ * Client for inline (fill-in-the-middle) code completions from GitHub Copilot.
+ * Opens a virtual text document in the language server and asks for
+ * completions at the cursor position between the prefix and the suffix.
+ */
+
+const VIRTUAL_DOCUMENT_ROOT = "file:///ghcp-ollama";
+
+export class CopilotCompletionClient {
+  constructor(lspClient) {
+    this.lspClient = lspClient;
+    this.documentCount = 0;
+  }
+
+  /**
+   * Gets an inline completion for the text between a prefix and a suffix.
+   *
+   * @param {string} prompt - Text before the cursor
+   * @param {string} [suffix=""] - Text after the cursor
+   * @param {Object} [options={}] - Additional options for the completion
+   * @param {string} [options.languageId="plaintext"] - Language of the document
+   * @param {number} [options.tabSize=4] - Tab size used for formatting
+   * @param {boolean} [options.insertSpaces=true] - Whether to indent with spaces
+   *
+   * @returns {Promise<{success: boolean, completion?: string, error?: string}>} Result of the completion request
+   */
+  async getCompletion(prompt, suffix = "", options = {}) {
+    const text = `${prompt}${suffix}`;
+    const position = this.#positionAt(prompt);
+    const textDocument = {
+      uri: `${VIRTUAL_DOCUMENT_ROOT}/completion-${++this.documentCount}`,
+      languageId: options.languageId || "plaintext",
+      version: 1,
+      text: text,
+    };
+    const formattingOptions = {
+      tabSize: options.tabSize || 4,
+      insertSpaces: options.insertSpaces !== false,
+    };
+
+    try {
+      await this.lspClient.notify("textDocument/didOpen", { textDocument });
+      const items = await this.#requestCompletionItems(
+        textDocument,
+        position,
+        formattingOptions,
+      );
+      const item = items.find((candidate) => candidate.insertText);
+      return {
+        success: true,
+        completion: item ? this.#toInsertion(text, prompt.length, item) : "",
+      };
+    } catch (error) {
+      console.error("Error getting inline completion:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    } finally {
+      try {
+        await this.lspClient.notify("textDocument/didClose", {
+          textDocument: { uri: textDocument.uri },
+        });
+      } catch (error) {
+        console.error("Error closing completion document:", error);
+      }
+    }
+  }
+
+  async #requestCompletionItems(textDocument, position, formattingOptions) {
+    try {
+      const result = await this.lspClient.request(
+        "textDocument/inlineCompletion",
+        {
+          textDocument: {
+            uri: textDocument.uri,
+            version: textDocument.version,
+          },
+          position: position,
+          context: { triggerKind: 2 },
+          formattingOptions: formattingOptions,
+        },
+      );
+      return Array.isArray(result) ? result : result?.items || [];
+    } catch (error) {
+      // Older language servers only implement the legacy completion method
+      console.warn(
+        "Inline completion failed, falling back to getCompletions:",
+        error.message,
+      );
+      const result = await this.lspClient.request("getCompletions", {
+        doc: {
+          uri: textDocument.uri,
+          version: textDocument.version,
+          languageId: textDocument.languageId,
+          position: position,
+          ...formattingOptions,
+        },
+      });
+      return (result?.completions || []).map((completion) => ({
+        insertText: completion.text,
+        range: completion.range,
+      }));
+    }
+  }
+
+  // Converts an item which replaces `range` into the text inserted at the cursor
+  #toInsertion(text, cursorOffset, item) {
+    let insertion = item.insertText;
+    if (!item.range) {
+      return insertion;
+    }
+
+    const startOffset = this.#offsetAt(text, item.range.start);
+    const endOffset = this.#offsetAt(text, item.range.end);
+    const replacedPrefix = text.slice(startOffset, cursorOffset);
+    if (startOffset < cursorOffset && insertion.startsWith(replacedPrefix)) {
+      insertion = insertion.slice(replacedPrefix.length);
+    }
+    const replacedSuffix = text.slice(cursorOffset, endOffset);
+    if (endOffset > cursorOffset && insertion.endsWith(replacedSuffix)) {
+      insertion = insertion.slice(0, insertion.length - replacedSuffix.length);
+    }
+    return insertion;
+  }
+
+  #positionAt(text) {
+    const lines = text.split(/\r\n|\r|\n/);
+    return {
+      line: lines.length - 1,
+      character: lines[lines.length - 1].length,
+    };
+  }
+
+  #offsetAt(text, position) {
+    const lineBreak = /\r\n|\r|\n/g;
+    let offset = 0;
+    for (let line = 0; line < position.line; line++) {
+      const match = lineBreak.exec(text);
+      if (!match) {
+        return text.length;
+      }
+      offset = match.index + match[0].length;
+    }
+    return Math.min(offset + position.character, text.length);
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * Credential stores
+ *
+ * Tokens are kept in one of these backends, picked with the `GHCP_CREDENTIAL_STORE`
+ * env var or `credentialStore` in the config file:
+ * - `file`: a plaintext JSON file only readable by the user
+ * - `encrypted`: a JSON file encrypted with AES-256-GCM, with the key derived from
+ *   the passphrase in the `GHCP_CREDENTIAL_KEY` env var
+ * - `keyring`: the Secret Service keyring (e.g. GNOME Keyring), through `secret-tool`
+ *
+ * By default the encrypted file is used when a passphrase is set, otherwise the
+ * plaintext file. The keyring is only used when picked, as it can't be watched
+ * for changes by other processes and is read synchronously. Credentials still
+ * stored in a plaintext file are moved to the encrypted file or keyring on first read.
+ *
+ * Every store reads and writes JSON data, identified by the path of its plaintext file.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { credentialStoreOptions } from "../config.js";
+
+const KEYRING_SERVICE = "ghcp-ollama";
+// secret-tool may wait on a locked keyring, don't hang forever
+const KEYRING_TIMEOUT_MS = 10 * 1000;
+
+let credentialStore = null;
+
+export class PlaintextFileStore {
+  constructor() {
+    this.name = "file";
+  }
+
+  read(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    restrictPermissions(filePath);
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  write(filePath, data) {
+    writePrivateFile(filePath, JSON.stringify(data, null, 2));
+  }
+
+  remove(filePath) {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  /**
+   * Returns the file the data is stored in, so it can be watched for changes
+   *
+   * @param {string} filePath - Path of the plaintext file
+   *
+   * @returns {string|null} The file path, null if the data isn't stored in a file
+   */
+  storagePath(filePath) {
+    return filePath;
+  }
+}
+
+export class EncryptedFileStore {
+  constructor(passphrase) {
+    this.name = "encrypted";
+    this.passphrase = passphrase;
+    // Derived keys by salt, since scrypt is slow on purpose
+    this.keys = new Map();
+  }
+
+  read(filePath) {
+    const encryptedPath = this.storagePath(filePath);
+    if (!fs.existsSync(encryptedPath)) {
+      return migrateFromPlaintext(this, filePath);
+    }
+    restrictPermissions(encryptedPath);
+
+    const envelope = JSON.parse(fs.readFileSync(encryptedPath, "utf8"));
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this.#deriveKey(envelope.salt),
+      Buffer.from(envelope.iv, "base64"),
+    );
+    decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+    try {
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, "base64")),
+        decipher.final(),
+      ]);
+      return JSON.parse(plaintext.toString("utf8"));
+    } catch (error) {
+      throw new Error(
+        `Can't decrypt ${encryptedPath}, check GHCP_CREDENTIAL_KEY: ${error.message}`,
+      );
+    }
+  }
+
+  write(filePath, data) {
+    const salt = this.#currentSalt();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      this.#deriveKey(salt),
+      iv,
+    );
+    const encrypted = Buffer.concat([
+      cipher.update(JSON.stringify(data), "utf8"),
+      cipher.final(),
+    ]);
+    const envelope = {
+      version: 1,
+      cipher: "aes-256-gcm",
+      kdf: "scrypt",
+      salt,
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: encrypted.toString("base64"),
+    };
+    writePrivateFile(
+      this.storagePath(filePath),
+      JSON.stringify(envelope, null, 2),
+    );
+  }
+
+  remove(filePath) {
+    for (const storedPath of [this.storagePath(filePath), filePath]) {
+      if (fs.existsSync(storedPath)) {
+        fs.unlinkSync(storedPath);
+      }
+    }
+  }
+
+  storagePath(filePath) {
+    return `${filePath}.enc`;
+  }
+
+  #currentSalt() {
+    // Reuse a salt of this process, the key doesn't need deriving again
+    const [salt] = this.keys.keys();
+    return salt || crypto.randomBytes(16).toString("base64");
+  }
+
+  #deriveKey(salt) {
+    let key = this.keys.get(salt);
+    if (!key) {
+      key = crypto.scryptSync(this.passphrase, Buffer.from(salt, "base64"), 32);
+      this.keys.set(salt, key);
+    }
+    return key;
+  }
+}
+
+export class KeyringStore {
+  constructor() {
+    this.name = "keyring";
+  }
+
+  /**
+   * Checks whether the Secret Service keyring can be used, i.e. `secret-tool`
+   * is installed and there's a D-Bus session to reach the keyring through
+   *
+   * @returns {boolean} True if the keyring is available
+   */
+  static isAvailable() {
+    if (process.platform !== "linux" || !process.env.DBUS_SESSION_BUS_ADDRESS) {
+      return false;
+    }
+    return (process.env.PATH || "").split(path.delimiter).some((dir) => {
+      try {
+        fs.accessSync(path.join(dir, "secret-tool"), fs.constants.X_OK);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  read(filePath) {
+    let secret;
+    try {
+      secret = this.#secretTool(["lookup", ...this.#attributes(filePath)]);
+    } catch (error) {
+      // secret-tool exits with 1 when nothing is stored
+      if (error.status === 1 && !error.stderr?.length) {
+        return migrateFromPlaintext(this, filePath);
+      }
+      throw new Error(`Can't read from the keyring: ${error.message}`);
+    }
+    return secret ? JSON.parse(secret) : migrateFromPlaintext(this, filePath);
+  }
+
+  write(filePath, data) {
+    this.#secretTool(
+      [
+        "store",
+        "--label",
+        `GitHub Copilot ${path.basename(filePath, ".json")}`,
+        ...this.#attributes(filePath),
+      ],
+      JSON.stringify(data),
+    );
+  }
+
+  remove(filePath) {
+    try {
+      this.#secretTool(["clear", ...this.#attributes(filePath)]);
+    } catch (error) {
+      console.error("Error removing credentials from the keyring:", error);
+    }
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  storagePath() {
+    return null;
+  }
+
+  #attributes(filePath) {
+    return ["service", KEYRING_SERVICE, "path", filePath];
+  }
+
+  #secretTool(args, input = undefined) {
+    return execFileSync("secret-tool", args, {
+      input,
+      encoding: "utf8",
+      timeout: KEYRING_TIMEOUT_MS,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+  }
+}
+
+/**
+ * Returns the credential store configured for this process
+ *
+ * @returns {PlaintextFileStore|EncryptedFileStore|KeyringStore} The store
+ *
+ * @throws {Error} If the configured store can't be used, e.g. the passphrase is missing
+ */
+export function getCredentialStore() {
+  if (!credentialStore) {
+    credentialStore = createCredentialStore(credentialStoreOptions());
+  }
+  return credentialStore;
+}
+
+/**
+ * Creates a credential store
+ *
+ * @param {Object} options - Store options:
+ *   - backend: {string} `file`, `encrypted`, `keyring` or `auto`
+ *   - passphrase: {string|null} Passphrase of the encrypted file
+ *
+ * @returns {PlaintextFileStore|EncryptedFileStore|KeyringStore} The store
+ *
+ * @throws {Error} If the backend is unknown or can't be used
+ */
+export function createCredentialStore({ backend = "auto", passphrase = null }) {
+  switch (backend) {
+    case "file":
+      return new PlaintextFileStore();
+    case "encrypted":
+      if (!passphrase) {
+        throw new Error(
+          "The encrypted credential store needs a passphrase in GHCP_CREDENTIAL_KEY",
+        );
+      }
+      return new EncryptedFileStore(passphrase);
+    case "keyring":
+      if (!KeyringStore.isAvailable()) {
+        throw new Error(
+          "The keyring credential store needs `secret-tool` and a D-Bus session",
+        );
+      }
+      return new KeyringStore();
+    case "auto":
+      if (passphrase) {
+        return new EncryptedFileStore(passphrase);
+      }
+      return new PlaintextFileStore();
+    default:
+      throw new Error(`Unknown credential store: ${backend}`);
+  }
+}
+
+/**
+ * Writes a file only the current user can read and write
+ * The permissions of an existing file are restricted as well.
+ *
+ * @param {string} filePath - The file to write
+ * @param {string} content - The content to write
+ */
+export function writePrivateFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, { encoding: "utf8", mode: 0o600 });
+  // The mode only applies to new files
+  fs.chmodSync(filePath, 0o600);
+}
+
+function restrictPermissions(filePath) {
+  if (process.platform === "win32") {
+    return;
+  }
+  const mode = fs.statSync(filePath).mode & 0o777;
+  if (mode & 0o077) {
+    console.warn(
+      `Restricting permissions of ${filePath} from ${mode.toString(8)} to 600`,
+    );
+    fs.chmodSync(filePath, 0o600);
+  }
+}
+
+// Moves credentials from their old plaintext file into a store
+function migrateFromPlaintext(store, filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  store.write(filePath, data);
+  fs.unlinkSync(filePath);
+  console.log(`Moved ${filePath} to the ${store.name} credential store`);
+  return data;
+}
@@ -0,0 +1,174 @@
+/**
+ * Error responses in the format of each API the server provides:
+ * - Ollama: `{"error": "..."}`
+ * - OpenAI: `{"error": {"message": "...", "type": "...", "param": null, "code": null}}`
+ * - Anthropic: `{"type": "error", "error": {"type": "...", "message": "..."}}`
+ *
+ * Errors of the Copilot API are recognized by their code or message, so that
+ * clients get the status and type they can react to, e.g. a 404 for a model
+ * Copilot doesn't support.
+ */
+
+// Types of the errors by status, when there's no error code for more details
+const STATUS_ERROR_TYPES = {
+  400: { openai: "invalid_request_error", anthropic: "invalid_request_error" },
+  401: { openai: "invalid_request_error", anthropic: "authentication_error" },
+  403: { openai: "permission_error", anthropic: "permission_error" },
+  404: { openai: "invalid_request_error", anthropic: "not_found_error" },
+  429: {
+    openai: "requests",
+    anthropic: "rate_limit_error",
+    code: "rate_limit_exceeded",
+  },
+  500: { openai: "server_error", anthropic: "api_error" },
+  503: { openai: "server_error", anthropic: "overloaded_error" },
+};
+
+// Statuses of failed upstream requests which are passed on to clients, as the
+// client can fix the request or retry later; anything else is a server error.
+// A 401 means the server's Copilot token was rejected, not the client's key.
+const UPSTREAM_ERROR_STATUSES = [400, 403, 404, 429];
+// Status of a failed upstream request caused by the server's Copilot credentials
+const UPSTREAM_AUTH_ERROR_STATUS = 502;
+
+// Errors with an error code, raised by the server itself or recognized in
+// Copilot API errors by their `code` or message, the message only for
+// `upstreamStatuses` if given
+const ERROR_TYPES = {
+  invalid_api_key: {
+    status: 401,
+    openai: "invalid_request_error",
+    anthropic: "authentication_error",
+  },
+  model_not_allowed: {
+    status: 403,
+    openai: "permission_error",
+    anthropic: "permission_error",
+    param: "model",
+  },
+  admin_required: {
+    status: 403,
+    openai: "permission_error",
+    anthropic: "permission_error",
+  },
+  requests_rate_limited: {
+    status: 429,
+    openai: "requests",
+    anthropic: "rate_limit_error",
+    code: "rate_limit_exceeded",
+  },
+  tokens_rate_limited: {
+    status: 429,
+    openai: "tokens",
+    anthropic: "rate_limit_error",
+    code: "rate_limit_exceeded",
+  },
+  previous_response_not_found: {
+    status: 404,
+    openai: "invalid_request_error",
+    anthropic: "not_found_error",
+    param: "previous_response_id",
+  },
+  model_not_found: {
+    status: 404,
+    openai: "invalid_request_error",
+    anthropic: "not_found_error",
+    param: "model",
+    upstreamCodes: ["model_not_supported", "unsupported_model"],
+    upstreamMessage: /model\b.*\bnot (supported|available)/i,
+  },
+  content_filtered: {
+    status: 400,
+    openai: "invalid_request_error",
+    anthropic: "invalid_request_error",
+    code: "content_filter",
+    upstreamCodes: ["content_filter", "content_filtered"],
+    upstreamMessage: /content (management )?(policy|filter)/i,
+  },
+  quota_exceeded: {
+    status: 429,
+    openai: "insufficient_quota",
+    anthropic: "rate_limit_error",
+    code: "insufficient_quota",
+    upstreamCodes: ["quota_exceeded", "insufficient_quota"],
+    upstreamMessage: /quota/i,
+    upstreamStatuses: [402, 403, 429],
+  },
+  context_length_exceeded: {
+    status: 400,
+    openai: "invalid_request_error",
+    anthropic: "invalid_request_error",
+    param: "messages",
+    code: "context_length_exceeded",
+    upstreamCodes: [
+      "context_length_exceeded",
+      "model_max_prompt_tokens_exceeded",
+      "tokens_limit_reached",
+    ],
+    upstreamMessage: /context length|prompt token count|too many tokens/i,
+  },
+};
+
+/**
+ * Builds the body of an error response in the format of an API
+ *
+ * @param {string} protocol - The API: `ollama`, `openai` or `anthropic`
+ * @param {number} status - The HTTP status of the response
+ * @param {string} message - Description of the error
+ * @param {string|null} [errorCode=null] - The error code, see ERROR_TYPES, for its type, param and code
+ *
+ * @returns {Object} The response body
+ */
+export function formatError(protocol, status, message, errorCode = null) {
+  const types =
+    ERROR_TYPES[errorCode] ||
+    STATUS_ERROR_TYPES[status] ||
+    STATUS_ERROR_TYPES[status >= 500 ? 500 : 400];
+  switch (protocol) {
+    case "ollama":
+      return { error: message };
+    case "anthropic":
+      return { type: "error", error: { type: types.anthropic, message } };
+    default:
+      return {
+        error: {
+          message,
+          type: types.openai,
+          param: types.param ?? null,
+          code: types.code ?? errorCode,
+        },
+      };
+  }
+}
+
+/**
+ * Works out the status and error code to answer a failed Copilot API request
+ * with, from the status, error code and message of the result.
+ *
+ * @param {Object} result - The failed result of the chat client, with `statusCode`, `errorCode` and `error`
+ *
+ * @returns {{status: number, errorCode: string|null}} The status and error code
+ */
+export function classifyUpstreamError(result) {
+  // Only errors the API returned are worth looking into
+  if (result.statusCode) {
+    for (const [errorCode, types] of Object.entries(ERROR_TYPES)) {
+      const messageMatches =
+        (!types.upstreamStatuses ||
+          types.upstreamStatuses.includes(result.statusCode)) &&
+        types.upstreamMessage?.test(result.error || "");
+      if (types.upstreamCodes?.includes(result.errorCode) || messageMatches) {
+        return { status: types.status, errorCode };
+      }
+    }
+  }
+  if (result.statusCode === 401) {
+    return { status: UPSTREAM_AUTH_ERROR_STATUS, errorCode: null };
+  }
+  return {
+    status: UPSTREAM_ERROR_STATUSES.includes(result.statusCode)
+      ? result.statusCode
+      : 500,
+    errorCode: null,
+  };
+}
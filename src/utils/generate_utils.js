@@ -0,0 +1,41 @@
+/**
+ * Utility functions for serving Ollama's `/api/generate` endpoint with chat
+ * requests. The prompt becomes a conversation of one user message, and chat
+ * responses are turned back into generate responses.
+ */
+
+/**
+ * Converts an Ollama generate request into chat messages.
+ *
+ * @param {Object} generateReq - The Ollama generate request body
+ *
+ * @returns {Array<Object>} The system message, if any, and the user message
+ */
+export function convertGenerateToMessages(generateReq) {
+  const messages = [];
+  if (generateReq.system) {
+    messages.push({ role: "system", content: generateReq.system });
+  }
+  const userMessage = { role: "user", content: generateReq.prompt || "" };
+  if (generateReq.images && generateReq.images.length > 0) {
+    userMessage.images = generateReq.images;
+  }
+  messages.push(userMessage);
+  return messages;
+}
+
+/**
+ * Converts an Ollama chat response, or a streamed part of one, into a
+ * generate response.
+ *
+ * @param {Object} chatResp - The Ollama chat response
+ *
+ * @returns {Object} The generate response, with the message content in `response`
+ */
+export function toGenerateResp(chatResp) {
+  const { message, ...rest } = chatResp;
+  return {
+    ...rest,
+    response: message?.content ?? "",
+  };
+}
@@ -1,9 +1,37 @@
 /**
  * Utility functions for making HTTP requests using Node.js https module.
  * Provides support for both regular and streaming HTTP requests.
+ * Requests go through the configured proxy and trust the configured CA bundle,
+ * see `networkConfig` in config.js. Connections are kept alive and reused, and
+ * requests that fail on the way are retried with backoff, see `upstreamRequestConfig`.
  */
 
+import fs from "fs";
 import https from "https";
+import tls from "tls";
+import { setTimeout as sleep } from "timers/promises";
+import { HttpsProxyAgent, bypassesProxy } from "./proxy_agent.js";
+import { networkConfig, upstreamRequestConfig } from "../config.js";
+
+// Statuses of a gateway or server which may well succeed when tried again
+const RETRYABLE_STATUS_CODES = [502, 503, 504];
+// Errors of connections dropped or refused before the response was done
+const RETRYABLE_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EPIPE",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+];
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8 * 1000;
+// A 429 asking to wait longer is passed on, e.g. for the account pool to fail over
+const RETRY_AFTER_MAX_MS = 10 * 1000;
+
+// Agents are created on first use, they hold the TLS options read from disk.
+// The timeouts and retries are read along with them.
+let agents = null;
+let requestConfig = null;
 
 /**
  * Sends an HTTP request and returns a promise with the response.
@@ -17,8 +45,13 @@ import https from "https";
  * @param {string} [respProcErrorMsg="Failed to parse response"] - Custom error message for response processing failures
  * @param {string} [statusCodeErrorMsg="Returned status code"] - Custom error message for non-200 status codes
  * @param {string} [reqErrorMsg="Error making request to endpoint"] - Custom error message for request failures
+ * @param {Object} [requestOptions={}] - Options of the request:
+ *   - onRetry: {Function} Called with the retry count before the request is retried
+ *   - signal: {AbortSignal} Cancels the request, e.g. when the client disconnected
+ *   - retryRateLimits: {boolean} Whether to retry a 429 with a short `Retry-After` (default true),
+ *     off when the caller fails over to another account itself
  *
- * @returns {Promise<{success: boolean, data: any}>} Response data wrapped in a success object
+ * @returns {Promise<{success: boolean, data: any, retries: number}>} Response data wrapped in a success object
  */
 export async function sendHttpRequest(
   hostname,
@@ -30,53 +63,62 @@ export async function sendHttpRequest(
   respProcErrorMsg = "Failed to parse response",
   statusCodeErrorMsg = "Returned status code",
   reqErrorMsg = "Error making request to endpoint",
+  requestOptions = {},
 ) {
-  return await new Promise((resolve, reject) => {
-    const options = {
-      hostname: hostname,
-      path: path,
-      method: method,
-      headers: headers,
-    };
+  const agent = getAgent(hostname);
+  const send = () =>
+    new Promise((resolve, reject) => {
+      const options = {
+        hostname: hostname,
+        path: path,
+        method: method,
+        headers: headers,
+        agent: agent,
+        signal: requestOptions.signal,
+      };
 
-    const req = https.request(options, (res) => {
-      let data = "";
+      const req = https.request(options, (res) => {
+        let data = "";
 
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
+        res.on("data", (chunk) => {
+          data += chunk;
+        });
 
-      res.on("end", () => {
-        if (res.statusCode === 200) {
-          try {
-            const respData = callback ? callback(data) : JSON.parse(data);
-            resolve({ success: true, data: respData });
-          } catch (error) {
-            reject(new Error(`${respProcErrorMsg}: ${error.message}`));
+        res.on("end", () => {
+          if (res.statusCode === 200) {
+            try {
+              const respData = callback ? callback(data) : JSON.parse(data);
+              resolve({ success: true, data: respData });
+            } catch (error) {
+              reject(new Error(`${respProcErrorMsg}: ${error.message}`));
+            }
+          } else {
+            reject(createStatusCodeError(statusCodeErrorMsg, res, data));
           }
-        } else {
-          reject(
-            new Error(
-              `${statusCodeErrorMsg}: ${res.statusCode}: ${JSON.stringify(data)}`,
-            ),
-          );
-        }
+        });
+
+        res.on("error", (error) => {
+          reject(createRequestError(reqErrorMsg, error));
+        });
+      });
+      applyTimeouts(req);
+
+      req.on("error", (error) => {
+        reject(createRequestError(reqErrorMsg, error));
       });
-    });
 
-    req.on("error", (error) => {
-      reject(new Error(`${reqErrorMsg}: ${error.message}`));
+      if (payload) {
+        req.write(JSON.stringify(payload));
+      }
+      req.end();
     });
 
-    if (payload) {
-      req.write(JSON.stringify(payload));
-    }
-    req.end();
-  });
+  return await sendWithRetries(send, requestOptions);
 }
 
 /**
  * Sends an HTTP request that handles streaming responses.
+ * The request is only retried until the first chunk was passed to `onResponse`.
  *
  * @param {string} hostname - The target host
  * @param {string} path - The request path
@@ -88,8 +130,13 @@ export async function sendHttpRequest(
  * @param {string} [respProcErrorMsg="Failed to parse response"] - Custom error message for response processing failures
  * @param {string} [statusCodeErrorMsg="Returned status code"] - Custom error message for non-200 status codes
  * @param {string} [reqErrorMsg="Error making request to endpoint"] - Custom error message for request failures
+ * @param {Object} [requestOptions={}] - Options of the request:
+ *   - onRetry: {Function} Called with the retry count before the request is retried
+ *   - signal: {AbortSignal} Cancels the request, e.g. when the client disconnected
+ *   - retryRateLimits: {boolean} Whether to retry a 429 with a short `Retry-After` (default true),
+ *     off when the caller fails over to another account itself
  *
- * @returns {Promise<{success: boolean}>} Success status of the streaming request
+ * @returns {Promise<{success: boolean, retries: number}>} Success status of the streaming request
  */
 export async function sendHttpStreamingRequest(
   hostname,
@@ -102,79 +149,337 @@ export async function sendHttpStreamingRequest(
   respProcErrorMsg = "Failed to parse response",
   statusCodeErrorMsg = "Returned status code",
   reqErrorMsg = "Error making request to endpoint",
+  requestOptions = {},
 ) {
-  return await new Promise(async (resolve, reject) => {
-    const options = {
-      hostname: hostname,
-      path: path,
-      method: method,
-      headers: headers,
-    };
-    const req = https.request(options, (res) => {
-      if (res.statusCode !== 200) {
-        let errorData = "";
+  const agent = getAgent(hostname);
+  const send = () =>
+    new Promise((resolve, reject) => {
+      const options = {
+        hostname: hostname,
+        path: path,
+        method: method,
+        headers: headers,
+        agent: agent,
+        signal: requestOptions.signal,
+      };
+      // Once a chunk went to onResponse, the request can't be sent again
+      let streamed = false;
+      const fail = (error) => {
+        error.retryable = !streamed;
+        reject(error);
+      };
+
+      const req = https.request(options, (res) => {
+        if (res.statusCode !== 200) {
+          let errorData = "";
+
+          res.on("data", (chunk) => {
+            errorData += chunk;
+          });
+
+          res.on("end", () => {
+            fail(createStatusCodeError(statusCodeErrorMsg, res, errorData));
+          });
+          res.on("error", (error) => {
+            fail(createRequestError(reqErrorMsg, error));
+          });
+          // Error bodies are not streamed to onResponse
+          return;
+        }
+
+        // buffer is used to hold the incomplete data inputted to the parseResp function
+        let buffer = "";
+        // incompleteResult is used to hold the incomplete data outputted by parseResp function
+        let incompleteResult = {};
 
         res.on("data", (chunk) => {
-          errorData += chunk;
+          buffer += chunk.toString();
+          if (
+            parseResp &&
+            typeof parseResp === "function" &&
+            onResponse &&
+            typeof onResponse === "function"
+          ) {
+            try {
+              const parsed = parseResp(buffer, incompleteResult);
+              streamed = true;
+              onResponse(parsed.parsedMessages, "data");
+              buffer = parsed.remainBuffer;
+            } catch (error) {
+              fail(new Error(`${respProcErrorMsg}: ${error.message}`));
+            }
+          }
         });
 
         res.on("end", () => {
-          reject(
-            new Error(
-              `${statusCodeErrorMsg}: ${res.statusCode}: ${JSON.stringify(errorData)}`,
-            ),
-          );
+          if (
+            parseResp &&
+            typeof parseResp === "function" &&
+            onResponse &&
+            typeof onResponse === "function"
+          ) {
+            try {
+              const parsed = parseResp(buffer, incompleteResult);
+              streamed = true;
+              onResponse(parsed.parsedMessages, "end");
+            } catch (error) {
+              fail(new Error(`${respProcErrorMsg}: ${error.message}`));
+            }
+          }
+          resolve({ success: true });
         });
-      }
 
-      // buffer is used to hold the incomplete data inputted to the parseResp function
-      let buffer = "";
-      // incompleteResult is used to hold the incomplete data outputted by parseResp function
-      let incompleteResult = {};
-
-      res.on("data", (chunk) => {
-        buffer += chunk.toString();
-        if (
-          parseResp &&
-          typeof parseResp === "function" &&
-          onResponse &&
-          typeof onResponse === "function"
-        ) {
-          try {
-            const parsed = parseResp(buffer, incompleteResult);
-            onResponse(parsed.parsedMessages, "data");
-            buffer = parsed.remainBuffer;
-          } catch (error) {
-            reject(new Error(`${respProcErrorMsg}: ${error.message}`));
-          }
-        }
+        res.on("error", (error) => {
+          fail(createRequestError(reqErrorMsg, error));
+        });
       });
+      applyTimeouts(req);
 
-      res.on("end", () => {
-        if (
-          parseResp &&
-          typeof parseResp === "function" &&
-          onResponse &&
-          typeof onResponse === "function"
-        ) {
-          try {
-            const parsed = parseResp(buffer, incompleteResult);
-            onResponse(parsed.parsedMessages, "end");
-          } catch (error) {
-            reject(new Error(`${respProcErrorMsg}: ${error.message}`));
-          }
-        }
-        resolve({ success: true });
+      req.on("error", (error) => {
+        fail(createRequestError(reqErrorMsg, error));
       });
-    });
 
-    req.on("error", (error) => {
-      reject(new Error(`${reqErrorMsg}: ${error.message}`));
+      if (payload) {
+        req.write(JSON.stringify(payload));
+      }
+      req.end();
     });
 
-    if (payload) {
-      req.write(JSON.stringify(payload));
+  return await sendWithRetries(send, requestOptions);
+}
+
+/**
+ * Returns the agent to send requests to a host with: the proxy agent, unless
+ * there's no proxy or the host is in `NO_PROXY`, otherwise the direct agent.
+ * Both keep connections alive to reuse them for later requests.
+ *
+ * @param {string} hostname - The target host
+ * @param {number} [port=443] - The target port
+ *
+ * @returns {https.Agent} The agent
+ *
+ * @throws {Error} If a configured CA bundle or client certificate can't be read
+ */
+export function getAgent(hostname, port = 443) {
+  if (!agents) {
+    requestConfig = upstreamRequestConfig();
+    const config = networkConfig();
+    const agentOptions = { keepAlive: true, ...readTlsOptions(config) };
+    agents = {
+      noProxy: config.noProxy,
+      direct: new https.Agent(agentOptions),
+      proxy: config.proxy
+        ? new HttpsProxyAgent(config.proxy, agentOptions)
+        : null,
+    };
+  }
+  if (!agents.proxy || bypassesProxy(hostname, port, agents.noProxy)) {
+    return agents.direct;
+  }
+  return agents.proxy;
+}
+
+// An extra CA bundle is trusted on top of Node's built-in root certificates
+function readTlsOptions({
+  caBundle,
+  clientCert,
+  clientKey,
+  clientKeyPassphrase,
+}) {
+  const options = {};
+  try {
+    if (caBundle) {
+      options.ca = [...tls.rootCertificates, fs.readFileSync(caBundle, "utf8")];
+    }
+    if (clientCert) {
+      options.cert = fs.readFileSync(clientCert, "utf8");
+      // The key may be in the same PEM file as the certificate
+      options.key = fs.readFileSync(clientKey || clientCert, "utf8");
+      if (clientKeyPassphrase) {
+        options.passphrase = clientKeyPassphrase;
+      }
+    }
+  } catch (error) {
+    throw new Error(`Error reading TLS files: ${error.message}`);
+  }
+  return options;
+}
+
+// Sends a request again while it fails in a way worth retrying, waiting longer each time
+async function sendWithRetries(
+  send,
+  { onRetry = null, signal, retryRateLimits = true } = {},
+) {
+  const { maxRetries } = requestConfig;
+  for (let retries = 0; ; retries++) {
+    try {
+      return { ...(await send()), retries };
+    } catch (error) {
+      const delayMs =
+        retries < maxRetries && !signal?.aborted
+          ? retryDelayMs(error, retries, retryRateLimits)
+          : null;
+      if (delayMs === null) {
+        error.retries = retries;
+        throw error;
+      }
+      console.error(
+        `${error.message}, retrying in ${delayMs}ms (retry ${retries + 1} of ${maxRetries})`,
+      );
+      if (onRetry) {
+        onRetry(retries + 1);
+      }
+      // Rejects right away when the request is cancelled while waiting
+      await sleep(delayMs, undefined, { signal });
+    }
+  }
+}
+
+// Returns how long to wait before retrying a failed request, null if it shouldn't be retried
+function retryDelayMs(error, retries, retryRateLimits) {
+  if (error.retryable === false) {
+    return null;
+  }
+  // Full jitter on the upper half, so clients failing together don't retry together
+  const backoffMs = Math.min(
+    RETRY_BASE_DELAY_MS * 2 ** retries,
+    RETRY_MAX_DELAY_MS,
+  );
+  const jitteredMs = Math.round(
+    backoffMs / 2 + (Math.random() * backoffMs) / 2,
+  );
+
+  if (error.statusCode === 429) {
+    if (
+      !retryRateLimits ||
+      error.retryAfterMs === null ||
+      error.retryAfterMs > RETRY_AFTER_MAX_MS
+    ) {
+      return null;
+    }
+    return error.retryAfterMs + Math.round(Math.random() * RETRY_BASE_DELAY_MS);
+  }
+  if (RETRYABLE_STATUS_CODES.includes(error.statusCode)) {
+    return error.retryAfterMs !== null &&
+      error.retryAfterMs <= RETRY_AFTER_MAX_MS
+      ? Math.max(error.retryAfterMs, jitteredMs)
+      : jitteredMs;
+  }
+  if (!error.statusCode && RETRYABLE_ERROR_CODES.includes(error.code)) {
+    return jitteredMs;
+  }
+  return null;
+}
+
+// Fails a request which takes too long to connect, to start responding or to send more data
+function applyTimeouts(req) {
+  const { connectTimeoutMs, firstByteTimeoutMs, idleTimeoutMs } = requestConfig;
+  const timeOut = (message) => {
+    const error = new Error(message);
+    error.code = "ETIMEDOUT";
+    req.destroy(error);
+  };
+  const startTimer = (timeoutMs, message) =>
+    timeoutMs > 0 ? setTimeout(() => timeOut(message), timeoutMs) : null;
+
+  const connectTimer = startTimer(
+    connectTimeoutMs,
+    `Not connected within ${connectTimeoutMs}ms`,
+  );
+  const firstByteTimer = startTimer(
+    firstByteTimeoutMs,
+    `No response within ${firstByteTimeoutMs}ms`,
+  );
+
+  req.on("socket", (socket) => {
+    // A reused keep-alive connection is connected already
+    if (req.reusedSocket) {
+      clearTimeout(connectTimer);
+      return;
     }
-    req.end();
+    // The connection is only up once TLS is set up, which through a proxy
+    // comes after the tunnel
+    socket.once(
+      socket instanceof tls.TLSSocket ? "secureConnect" : "connect",
+      () => clearTimeout(connectTimer),
+    );
   });
+  req.on("response", () => {
+    clearTimeout(firstByteTimer);
+    if (idleTimeoutMs > 0) {
+      req.setTimeout(idleTimeoutMs, () =>
+        timeOut(`No data received for ${idleTimeoutMs}ms`),
+      );
+    }
+  });
+  req.on("close", () => {
+    clearTimeout(connectTimer);
+    clearTimeout(firstByteTimer);
+  });
+}
+
+// Keeps the code of a connection error, e.g. ECONNRESET, to decide whether to retry
+function createRequestError(reqErrorMsg, error) {
+  const requestError = new Error(`${reqErrorMsg}: ${error.message}`);
+  requestError.code = error.code;
+  return requestError;
+}
+
+// Keeps the status code on the error so callers can react to it, e.g. retry after a 401,
+// and the message, code and type of the error the API returned
+function createStatusCodeError(statusCodeErrorMsg, res, body) {
+  const upstreamError = parseErrorBody(body);
+  const error = new Error(
+    `${statusCodeErrorMsg}: ${res.statusCode}: ${upstreamError.message}`,
+  );
+  error.statusCode = res.statusCode;
+  error.retryAfterMs = parseRetryAfter(res.headers["retry-after"]);
+  error.errorCode = upstreamError.code;
+  error.errorType = upstreamError.type;
+  return error;
+}
+
+/**
+ * Parses the body of an error response, e.g. `{"error": {"message": "...", "code": "..."}}`,
+ * `{"error": "..."}`, `{"message": "..."}` or plain text.
+ *
+ * @param {string} body - The response body
+ *
+ * @returns {{message: string, code: string|null, type: string|null}} The error
+ */
+export function parseErrorBody(body) {
+  try {
+    const data = JSON.parse(body);
+    const error =
+      data.error && typeof data.error === "object" ? data.error : data;
+    const message = typeof data.error === "string" ? data.error : error.message;
+    if (message) {
+      return {
+        message: String(message),
+        code: error.code ?? null,
+        type: error.type ?? null,
+      };
+    }
+  } catch {
+    // Not JSON, use the text as it is
+  }
+  return { message: body.trim() || "(no details)", code: null, type: null };
+}
+
+/**
+ * Parses a `Retry-After` header, given either in seconds or as an HTTP date.
+ *
+ * @param {string|undefined} value - The header value
+ *
+ * @returns {number|null} How long to wait in milliseconds, null if not given or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
 }
@@ -13,10 +13,17 @@ import fs from "fs";
 import path from "path";
 import { spawn } from "child_process";
 import { createMessageConnection } from "vscode-jsonrpc/node.js";
-import { editorConfig } from "../config.js";
+import {
+  DEFAULT_PROFILE,
+  editorConfig,
+  networkConfig,
+  profileGithubHost,
+  profileHomePath,
+} from "../config.js";
 
 export class CopilotLSPClient {
-  constructor() {
+  constructor(profile = DEFAULT_PROFILE) {
+    this.profile = profile;
     this.initialized = false;
     this.connection = null;
     this.childProcess = null;
@@ -38,6 +45,7 @@ export class CopilotLSPClient {
     const serverPath = this.#findServerPath();
     this.childProcess = spawn("node", [serverPath, "--stdio"], {
       stdio: ["pipe", "pipe", "pipe"],
+      env: this.#serverEnv(),
     });
     this.connection = createMessageConnection(
       this.childProcess.stdout,
@@ -99,6 +107,36 @@ export class CopilotLSPClient {
     }
   }
 
+  /**
+   * Sends a notification to the language server, no response is expected
+   *
+   * @param {string} method - The LSP method name to notify
+   * @param {Object} params - Parameters to send with the notification
+   *
+   * @returns {Promise<void>}
+   *
+   * @throws {Error} If the client is not initialized or the connection is not established
+   */
+  async notify(method, params = {}) {
+    if (!this.initialized) {
+      throw new Error("[Github Copilot LSP] Client not initialized");
+    }
+
+    if (!this.connection) {
+      throw new Error("[Github Copilot LSP] LSP connection not established");
+    }
+
+    try {
+      await this.connection.sendNotification(method, params);
+    } catch (error) {
+      console.error(
+        `[Github Copilot LSP] Error in LSP notification ${method}:`,
+        error,
+      );
+      throw error;
+    }
+  }
+
   /**
    * Stops the LSP client and cleans up resources
    * This should be called when the client is no longer needed to prevent resource leaks.
@@ -132,6 +170,17 @@ export class CopilotLSPClient {
     );
   }
 
+  #serverEnv() {
+    const env = { ...process.env, ...networkEnv() };
+    if (this.profile === DEFAULT_PROFILE) {
+      return env;
+    }
+    // The language server keeps its sign-in under `XDG_CONFIG_HOME/github-copilot`
+    const homePath = profileHomePath(this.profile);
+    fs.mkdirSync(homePath, { recursive: true });
+    return { ...env, XDG_CONFIG_HOME: homePath };
+  }
+
   async #initialize() {
     if (this.initialized) return;
 
@@ -175,7 +224,12 @@ export class CopilotLSPClient {
 
       await this.connection.sendNotification("initialized");
 
-      await this.connection.sendRequest("setEditorInfo", editorConfig);
+      const host = profileGithubHost(this.profile);
+      const editorInfo =
+        host === "github.com"
+          ? editorConfig
+          : { ...editorConfig, authProvider: { url: `https://${host}` } };
+      await this.connection.sendRequest("setEditorInfo", editorInfo);
 
       this.initialized = true;
       return result;
@@ -185,3 +239,21 @@ export class CopilotLSPClient {
     }
   }
 }
+
+// The language server reads the proxy and extra CA certificates from its env,
+// pass on those set in the config file as well
+function networkEnv() {
+  const { proxy, noProxy, caBundle } = networkConfig();
+  const env = {};
+  if (proxy) {
+    env.HTTPS_PROXY = proxy;
+    env.HTTP_PROXY = proxy;
+  }
+  if (noProxy) {
+    env.NO_PROXY = noProxy;
+  }
+  if (caBundle && !process.env.NODE_EXTRA_CA_CERTS) {
+    env.NODE_EXTRA_CA_CERTS = caBundle;
+  }
+  return env;
+}
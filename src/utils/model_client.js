@@ -6,18 +6,30 @@
 import fs from "fs";
 import path from "path";
 import { CopilotAuth } from "./auth_client.js";
+import { writePrivateFile } from "./credential_store.js";
 import { sendHttpRequest } from "./http_utils.js";
-import { editorConfig, sysConfigPath } from "../config.js";
+import { DEFAULT_PROFILE, editorConfig, profileConfigPath } from "../config.js";
+
+// How long the list of available models is reused before it's fetched again
+const MODELS_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Available models fetched with a token, keyed by profile, shared by all instances
+const availableModelsCaches = new Map();
 
 export class CopilotModels {
-  constructor(lspClient) {
-    this.auth = new CopilotAuth(lspClient);
-    this.modelConfigFile = path.join(sysConfigPath(), "model-config.json");
+  constructor(lspClient, profile = DEFAULT_PROFILE) {
+    this.auth = new CopilotAuth(lspClient, profile);
+    this.profile = profile;
+    this.modelConfigFile = path.join(
+      profileConfigPath(profile),
+      "model-config.json",
+    );
   }
 
   /**
    * Fetches available Copilot models from the GitHub API
-   * Requires valid authentication token
+   * Requires valid authentication token. The models are reused for a few
+   * minutes, as long as the token stays the same.
    *
    * @returns {Promise<Object>} Result object containing:
    *   - success: {boolean} Whether the operation was successful
@@ -29,6 +41,11 @@ export class CopilotModels {
    */
   async getAvailableModels() {
     try {
+      const cachedModels = this.#getCachedModels();
+      if (cachedModels) {
+        return { success: true, availableModels: cachedModels };
+      }
+
       const signInStatus = await this.auth.checkStatus();
       if (!signInStatus.authenticated || !signInStatus.tokenValid) {
         console.log("Not signed in or token is invalid.");
@@ -65,6 +82,11 @@ export class CopilotModels {
       } else {
         return { success: false, availableModels: [] };
       }
+      availableModelsCaches.set(this.profile, {
+        token,
+        fetchedAt: Date.now(),
+        availableModels: modelsList,
+      });
       return { success: true, availableModels: modelsList };
     } catch (error) {
       console.error("Error in getAvailableModels:", error);
@@ -72,6 +94,40 @@ export class CopilotModels {
     }
   }
 
+  /**
+   * Looks up a single available Copilot model by its ID
+   * An Ollama-style `:latest` tag on the ID is ignored
+   *
+   * @param {string} modelId - The ID of the model to look up
+   *
+   * @returns {Promise<Object>} Result object containing:
+   *   - success: {boolean} Whether the model was found
+   *   - model: {Object} The model in the same shape as getAvailableModels (if found)
+   *   - error: {string} Error message (if failed)
+   */
+  async getModel(modelId) {
+    const modelsResult = await this.getAvailableModels();
+    if (!modelsResult.success) {
+      return {
+        success: false,
+        error: modelsResult.error || "Failed to get available models.",
+      };
+    }
+
+    const normalizedId = (modelId || "").replace(/:latest$/, "");
+    const model = modelsResult.availableModels.find(
+      (model) => model.id === normalizedId,
+    );
+    if (model === undefined) {
+      return {
+        success: false,
+        notFound: true,
+        error: `model '${modelId}' not found`,
+      };
+    }
+    return { success: true, model };
+  }
+
   /**
    * Sets the active Copilot model and persists the selection
    *
@@ -106,10 +162,9 @@ export class CopilotModels {
         lastUpdated: new Date().toISOString(),
       };
 
-      fs.writeFileSync(
+      writePrivateFile(
         this.modelConfigFile,
         JSON.stringify(modelConfig, null, 2),
-        "utf8",
       );
 
       return {
@@ -161,6 +216,16 @@ export class CopilotModels {
     }
   }
 
+  // The models fetched within the TTL with the current token, if any
+  #getCachedModels() {
+    const cached = availableModelsCaches.get(this.profile);
+    if (!cached || Date.now() - cached.fetchedAt >= MODELS_CACHE_TTL_MS) {
+      return null;
+    }
+    const { token } = this.auth.getGithubToken() || {};
+    return token === cached.token ? cached.availableModels : null;
+  }
+
   async #requestModels(endpoint, token) {
     const url = new URL(`${endpoint}/models`);
     const resp = await sendHttpRequest(url.hostname, url.pathname, "GET", {
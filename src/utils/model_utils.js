@@ -0,0 +1,104 @@
+/**
+ * Utility functions for describing Copilot models in the formats of the
+ * Ollama and OpenAI model endpoints.
+ */
+
+/**
+ * Describes a Copilot model like Ollama's `/api/show` does. Copilot models
+ * have no Modelfile, so one is made up from the model's limits.
+ *
+ * @param {Object} model - The model, as returned by `CopilotModels.getModel`
+ *
+ * @returns {Object} The `/api/show` response body
+ */
+export function toOllamaModelShow(model) {
+  const family = model.capabilities?.family || model.id;
+  const limits = model.capabilities?.limits || {};
+  const supports = model.capabilities?.supports || {};
+
+  const capabilities = [];
+  if (model.capabilities?.type === "embeddings") {
+    capabilities.push("embedding");
+  } else {
+    capabilities.push("completion");
+  }
+  if (supports.tool_calls) {
+    capabilities.push("tools");
+  }
+  if (supports.vision) {
+    capabilities.push("vision");
+  }
+
+  const modelInfo = {
+    "general.architecture": family,
+    "general.basename": model.name,
+    "general.version": model.version,
+  };
+  if (limits.max_context_window_tokens) {
+    modelInfo[`${family}.context_length`] = limits.max_context_window_tokens;
+  }
+  if (limits.max_prompt_tokens) {
+    modelInfo[`${family}.max_prompt_tokens`] = limits.max_prompt_tokens;
+  }
+  if (limits.max_output_tokens) {
+    modelInfo[`${family}.max_output_tokens`] = limits.max_output_tokens;
+  }
+
+  const template = buildModelTemplate();
+  const parameters = limits.max_context_window_tokens
+    ? `num_ctx ${limits.max_context_window_tokens}`
+    : "";
+  const modelfile = [
+    "# Modelfile generated by ghcp-ollama",
+    `FROM copilot/${model.id}`,
+    `TEMPLATE """${template}"""`,
+    parameters ? `PARAMETER ${parameters}` : "",
+  ]
+    .filter((line) => line)
+    .join("\n");
+
+  return {
+    modelfile: modelfile,
+    parameters: parameters,
+    template: template,
+    details: {
+      parent_model: "",
+      format: "Copilot API",
+      family: family,
+      families: [family],
+      parameter_size: "unknown",
+      quantization_level: "unknown",
+    },
+    model_info: modelInfo,
+    capabilities: capabilities,
+    modified_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Describes a Copilot model like OpenAI's `/v1/models` does, along with the
+ * Copilot name, version and capabilities.
+ *
+ * @param {Object} model - The model, as returned by `CopilotModels.getModel`
+ *
+ * @returns {Object} The OpenAI model object
+ */
+export function toOpenaiModel(model) {
+  return {
+    id: model.id,
+    object: "model",
+    created: Math.floor(Date.now() / 1000),
+    owned_by: model.vendor || "github-copilot",
+    name: model.name,
+    version: model.version,
+    capabilities: model.capabilities,
+  };
+}
+
+function buildModelTemplate() {
+  return [
+    "{{- range .Messages }}",
+    "{{ .Role }}: {{ .Content }}",
+    "{{ end }}assistant: ",
+  ].join("\n");
+}
@@ -0,0 +1,51 @@
+/**
+ * Mapping of Ollama model options to OpenAI chat completions parameters.
+ * Options which have no equivalent in the Copilot API are reported as ignored
+ * instead of being forwarded upstream.
+ */
+
+// Ollama option name -> OpenAI parameter name
+const OPTION_MAPPING = {
+  num_predict: "max_tokens",
+  temperature: "temperature",
+  top_p: "top_p",
+  seed: "seed",
+  stop: "stop",
+  frequency_penalty: "frequency_penalty",
+  presence_penalty: "presence_penalty",
+};
+
+/**
+ * Converts Ollama model options into OpenAI chat completions parameters.
+ *
+ * @param {Object} [options={}] - Ollama options, e.g. `{ num_predict: 128, top_k: 40 }`
+ *
+ * @returns {{params: Object, ignored: Array<string>}} The OpenAI parameters and
+ *   the names of the options which were dropped
+ */
+export function convertOllamaOptions(options = {}) {
+  const params = {};
+  const ignored = [];
+  for (const [name, value] of Object.entries(options || {})) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const paramName = OPTION_MAPPING[name];
+    if (!paramName) {
+      ignored.push(name);
+      continue;
+    }
+
+    if (name === "num_predict") {
+      // -1 (infinite) and -2 (fill context) mean no limit
+      if (value > 0) {
+        params.max_tokens = value;
+      }
+    } else if (name === "stop") {
+      params.stop = Array.isArray(value) ? value : [value];
+    } else {
+      params[paramName] = value;
+    }
+  }
+  return { params, ignored };
+}
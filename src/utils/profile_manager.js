@@ -0,0 +1,176 @@
+/**
+ * Github Copilot Profile Manager
+ *
+ * A profile is a GitHub account signed in to Copilot with its own token storage.
+ * Every profile gets its own language server and clients, so requests made with
+ * a profile use, and are attributed to, that account's Copilot seat.
+ */
+
+import { CopilotAuth } from "./auth_client.js";
+import { CopilotChatClient } from "./chat_client.js";
+import { CopilotCompletionClient } from "./completion_client.js";
+import { CopilotLSPClient } from "./lsp_client.js";
+import { CopilotModels } from "./model_client.js";
+import { CopilotTokenManager } from "./token_manager.js";
+import { DEFAULT_PROFILE, listProfiles } from "../config.js";
+
+export class CopilotProfile {
+  constructor(name = DEFAULT_PROFILE) {
+    this.name = name;
+    this.lspClient = new CopilotLSPClient(name);
+    this.authClient = new CopilotAuth(this.lspClient, name);
+    this.modelClient = new CopilotModels(this.lspClient, name);
+    this.chatClient = new CopilotChatClient(this.lspClient, name);
+    this.completionClient = new CopilotCompletionClient(this.lspClient);
+    this.tokenManager = null;
+    // null until the first setup completes, then `{ ready, error }`
+    this.status = null;
+    this.setupPromise = null;
+  }
+
+  /**
+   * Starts the language server, checks the sign-in and keeps the token fresh.
+   * Concurrent calls share the same setup.
+   *
+   * @param {Object} [options={}] - Setup options:
+   *   - signIn: {boolean} Start the device flow if the profile isn't signed in,
+   *     otherwise it's only marked as needing authentication
+   *
+   * @returns {Promise<Object>} Result object containing:
+   *   - success: {boolean} Whether the profile is ready to use
+   *   - error: {string} Error message if not ready
+   */
+  setup({ signIn = false } = {}) {
+    if (!this.setupPromise) {
+      this.setupPromise = this.#setup(signIn).finally(() => {
+        this.setupPromise = null;
+      });
+    }
+    return this.setupPromise;
+  }
+
+  /**
+   * Stops refreshing the token and the language server of the profile.
+   */
+  stop() {
+    if (this.tokenManager) {
+      this.tokenManager.stop();
+      this.tokenManager = null;
+    }
+    if (this.lspClient.initialized) {
+      this.lspClient.stop();
+    }
+  }
+
+  async #setup(signIn) {
+    try {
+      console.log(
+        `Initializing GitHub Copilot LSP client for profile ${this.name}...`,
+      );
+      if (!this.lspClient.initialized) {
+        await this.lspClient.start();
+      }
+
+      if (signIn) {
+        await this.authClient.signIn(true);
+      } else {
+        const status = await this.authClient.checkStatus();
+        if (status.authenticated) {
+          await this.authClient.refreshGithubToken();
+        }
+      }
+      const status = await this.authClient.checkStatus();
+      if (!status.authenticated) {
+        this.status = { ready: false, error: "auth" };
+        return {
+          success: false,
+          error: `Sign in to Github Copilot failed for profile ${this.name}.`,
+        };
+      }
+      if (!status.tokenValid) {
+        this.status = { ready: false, error: "auth" };
+        return { success: false, error: "GitHub token is not valid." };
+      }
+
+      this.#startAuthRefresh();
+      this.status = { ready: true };
+      return { success: true };
+    } catch (error) {
+      this.status = { ready: false, error: "unknown" };
+      return {
+        success: false,
+        error: `Failed to initialize Copilot client for profile ${this.name}: ${error.message}.`,
+      };
+    }
+  }
+
+  #startAuthRefresh() {
+    if (this.tokenManager) {
+      this.tokenManager.stop();
+    }
+    this.tokenManager = new CopilotTokenManager(this.authClient);
+    // Refresh the token ahead of its expiry, as told by the token itself
+    this.tokenManager.start();
+  }
+}
+
+// Profiles signed in while the server runs are picked up when a name isn't
+// known, at most this often, so placeholder API keys don't list the profiles
+// directory on every request
+const PROFILE_RELIST_INTERVAL_MS = 5 * 1000;
+
+export class CopilotProfileManager {
+  constructor() {
+    this.profiles = new Map();
+    this.profileNames = null;
+    this.profilesListedAt = 0;
+  }
+
+  /**
+   * Tells whether a profile has been set up, from the cached profile list.
+   *
+   * @param {string} name - The profile name
+   *
+   * @returns {boolean} True if the profile exists
+   */
+  hasProfile(name) {
+    if (
+      !this.profileNames ||
+      (!this.profileNames.has(name) &&
+        Date.now() - this.profilesListedAt >= PROFILE_RELIST_INTERVAL_MS)
+    ) {
+      this.profileNames = new Set(listProfiles());
+      this.profilesListedAt = Date.now();
+    }
+    return this.profileNames.has(name);
+  }
+
+  /**
+   * Returns a profile, creating its clients on first use.
+   * The profile isn't set up, see `CopilotProfile.setup`.
+   *
+   * @param {string} [name=DEFAULT_PROFILE] - The profile name
+   *
+   * @returns {CopilotProfile|null} The profile, null if no such profile exists
+   */
+  getProfile(name = DEFAULT_PROFILE) {
+    let profile = this.profiles.get(name);
+    if (!profile) {
+      if (!this.hasProfile(name)) {
+        return null;
+      }
+      profile = new CopilotProfile(name);
+      this.profiles.set(name, profile);
+    }
+    return profile;
+  }
+
+  /**
+   * Stops all profiles in use.
+   */
+  stop() {
+    for (const profile of this.profiles.values()) {
+      profile.stop();
+    }
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Rate limiter for clients of the proxy server
+ *
+ * Counts the requests per minute and the tokens per day of each client, and of
+ * all clients together, against the configured limits. The counters are saved
+ * to `rate-limits.json` under the config path so they survive restarts.
+ */
+
+import fs from "fs";
+import path from "path";
+import { writePrivateFile } from "./credential_store.js";
+import { sysConfigPath } from "../config.js";
+
+// Client ID of the counters of all clients together
+export const GLOBAL_CLIENT = "*";
+
+const MINUTE_MS = 60 * 1000;
+// Counters are written at most this often
+const SAVE_DELAY_MS = 5 * 1000;
+
+export class RateLimiter {
+  constructor(filePath = path.join(sysConfigPath(), "rate-limits.json")) {
+    this.filePath = filePath;
+    this.counters = this.#load();
+    this.saveTimer = null;
+  }
+
+  /**
+   * Counts a request of a client, unless it's over one of its limits or the
+   * global limits
+   *
+   * @param {string} clientId - The client, e.g. `key:<id>` or `ip:<address>`
+   * @param {Object} limits - The limits containing:
+   *   - client: {Object} `requestsPerMinute` and `tokensPerDay` of the client
+   *   - global: {Object} `requestsPerMinute` and `tokensPerDay` of all clients together
+   *   A missing or zero limit means no limit.
+   *
+   * @returns {Object} Result object containing:
+   *   - allowed: {boolean} Whether the request may be served
+   *   - reason: {string} `requests` or `tokens`, the limit that was hit
+   *   - retryAfterMs: {number} How long until the limit is lifted
+   *   - message: {string} Description of the limit that was hit
+   */
+  check(clientId, limits) {
+    const now = Date.now();
+    const checks = [
+      [clientId, limits.client || {}, "Rate limit"],
+      [GLOBAL_CLIENT, limits.global || {}, "Server-wide rate limit"],
+    ];
+
+    for (const [id, clientLimits, label] of checks) {
+      const counter = this.#getCounter(id, now);
+      const { requestsPerMinute, tokensPerDay } = clientLimits;
+      if (tokensPerDay > 0 && counter.dayTokens >= tokensPerDay) {
+        return {
+          allowed: false,
+          reason: "tokens",
+          retryAfterMs: nextDayStart(now) - now,
+          message: `${label} reached: ${counter.dayTokens} of ${tokensPerDay} tokens per day used`,
+        };
+      }
+      if (
+        requestsPerMinute > 0 &&
+        counter.minuteRequests >= requestsPerMinute
+      ) {
+        return {
+          allowed: false,
+          reason: "requests",
+          retryAfterMs: counter.minuteStart + MINUTE_MS - now,
+          message: `${label} reached: ${requestsPerMinute} requests per minute`,
+        };
+      }
+    }
+
+    for (const [id] of checks) {
+      this.#getCounter(id, now).minuteRequests++;
+    }
+    this.#scheduleSave();
+    return { allowed: true };
+  }
+
+  /**
+   * Adds the tokens used by a request of a client to its daily count
+   *
+   * @param {string} clientId - The client
+   * @param {number} tokens - The prompt and completion tokens used
+   */
+  addTokens(clientId, tokens) {
+    if (!(tokens > 0)) {
+      return;
+    }
+    const now = Date.now();
+    this.#getCounter(clientId, now).dayTokens += tokens;
+    this.#getCounter(GLOBAL_CLIENT, now).dayTokens += tokens;
+    this.#scheduleSave();
+  }
+
+  /**
+   * Writes pending counter changes to disk
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.#save();
+  }
+
+  #getCounter(clientId, now) {
+    let counter = this.counters[clientId];
+    if (!counter) {
+      counter = { minuteStart: 0, minuteRequests: 0, day: null, dayTokens: 0 };
+      this.counters[clientId] = counter;
+    }
+    const minuteStart = now - (now % MINUTE_MS);
+    if (counter.minuteStart !== minuteStart) {
+      counter.minuteStart = minuteStart;
+      counter.minuteRequests = 0;
+    }
+    const day = new Date(now).toISOString().slice(0, 10);
+    if (counter.day !== day) {
+      counter.day = day;
+      counter.dayTokens = 0;
+    }
+    return counter;
+  }
+
+  #scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.#save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  #load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return (
+          JSON.parse(fs.readFileSync(this.filePath, "utf8")).counters || {}
+        );
+      }
+    } catch (error) {
+      console.error(`Error reading rate limits file ${this.filePath}:`, error);
+    }
+    return {};
+  }
+
+  #save() {
+    // Counters of earlier days have nothing left to count
+    const today = new Date().toISOString().slice(0, 10);
+    for (const [clientId, counter] of Object.entries(this.counters)) {
+      if (counter.day !== today) {
+        delete this.counters[clientId];
+      }
+    }
+    try {
+      writePrivateFile(
+        this.filePath,
+        JSON.stringify({ counters: this.counters }, null, 2),
+      );
+    } catch (error) {
+      console.error(`Error writing rate limits file ${this.filePath}:`, error);
+    }
+  }
+}
+
+// Daily budgets start over at midnight UTC
+function nextDayStart(now) {
+  const date = new Date(now);
+  return Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate() + 1,
+  );
+}
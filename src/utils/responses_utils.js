@@ -0,0 +1,536 @@
+/**
+ * Utility functions for translating between the OpenAI Responses API and
+ * the OpenAI chat completions API used by GitHub Copilot.
+ * Provides request/response conversion, streaming event translation and a
+ * local response store used to chain conversations with `previous_response_id`.
+ */
+
+import crypto from "crypto";
+
+/**
+ * In-memory store of completed responses and the conversations that led to them.
+ * The oldest responses are evicted once `maxEntries` is reached. Each response
+ * belongs to the client that created it, other clients can't see it.
+ */
+export class ResponseStore {
+  constructor(maxEntries = 1000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Saves a response with the chat messages of the whole conversation.
+   *
+   * @param {Object} response - The Responses API response object
+   * @param {Array} messages - Chat messages of the conversation, including the response output
+   * @param {Object} [owner={}] - The client the response belongs to: `keyId` and `profile`
+   */
+  save(response, messages, owner = {}) {
+    this.entries.delete(response.id);
+    this.entries.set(response.id, {
+      response,
+      messages,
+      owner: { keyId: owner.keyId ?? null, profile: owner.profile ?? null },
+    });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Retrieves a stored response.
+   *
+   * @param {string} id - The response ID
+   * @param {Object} [owner={}] - The client asking for it: `keyId` and `profile`
+   *
+   * @returns {{response: Object, messages: Array}|undefined} The stored entry if found
+   *   and owned by the client
+   */
+  get(id, owner = {}) {
+    const entry = this.entries.get(id);
+    if (
+      !entry ||
+      entry.owner.keyId !== (owner.keyId ?? null) ||
+      entry.owner.profile !== (owner.profile ?? null)
+    ) {
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Deletes a stored response.
+   *
+   * @param {string} id - The response ID
+   * @param {Object} [owner={}] - The client deleting it: `keyId` and `profile`
+   *
+   * @returns {boolean} True if the response existed and was owned by the client
+   */
+  delete(id, owner = {}) {
+    return !!this.get(id, owner) && this.entries.delete(id);
+  }
+}
+
+/**
+ * Converts a Responses API request into an OpenAI chat completions request.
+ *
+ * @param {Object} responsesReq - The Responses API request body
+ * @param {Array} [history=[]] - Chat messages of the conversation referenced by `previous_response_id`
+ *
+ * @returns {{payload: Object, conversation: Array}} The chat completions request and the conversation
+ *   messages (without instructions) to store along with the response
+ */
+export function convertResponsesToOpenaiReq(responsesReq, history = []) {
+  const conversation = [...history, ...convertInputItems(responsesReq.input)];
+  const messages = responsesReq.instructions
+    ? [{ role: "system", content: responsesReq.instructions }, ...conversation]
+    : [...conversation];
+
+  const payload = {
+    model: responsesReq.model,
+    messages: messages,
+    stream: responsesReq.stream || false,
+  };
+  if (responsesReq.max_output_tokens !== undefined) {
+    payload.max_tokens = responsesReq.max_output_tokens;
+  }
+  if (responsesReq.temperature !== undefined) {
+    payload.temperature = responsesReq.temperature;
+  }
+  if (responsesReq.top_p !== undefined) {
+    payload.top_p = responsesReq.top_p;
+  }
+  if (responsesReq.parallel_tool_calls !== undefined) {
+    payload.parallel_tool_calls = responsesReq.parallel_tool_calls;
+  }
+
+  const tools = (responsesReq.tools || []).filter((tool) => {
+    if (tool.type !== "function") {
+      console.warn(`Unsupported tool type ignored: ${tool.type}`);
+      return false;
+    }
+    return true;
+  });
+  if (tools.length > 0) {
+    payload.tools = tools.map((tool) => ({
+      type: "function",
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+        strict: tool.strict,
+      },
+    }));
+  }
+  if (responsesReq.tool_choice) {
+    const toolChoice = responsesReq.tool_choice;
+    payload.tool_choice =
+      typeof toolChoice === "string"
+        ? toolChoice
+        : { type: "function", function: { name: toolChoice.name } };
+  }
+
+  const format = responsesReq.text?.format;
+  if (format?.type === "json_schema") {
+    payload.response_format = {
+      type: "json_schema",
+      json_schema: {
+        name: format.name,
+        schema: format.schema,
+        strict: format.strict,
+      },
+    };
+  } else if (format?.type === "json_object") {
+    payload.response_format = { type: "json_object" };
+  }
+
+  return { payload, conversation };
+}
+
+/**
+ * Converts a non-streaming chat completions response into a Responses API response.
+ *
+ * @param {Object} openaiResp - The chat completions response
+ * @param {Object} responsesReq - The original Responses API request body
+ *
+ * @returns {Object} The Responses API response object
+ */
+export function convertOpenaiToResponsesResp(openaiResp, responsesReq) {
+  const output = [];
+  for (const choice of openaiResp.choices || []) {
+    if (choice.message?.content) {
+      output.push(createMessageItem(choice.message.content));
+    }
+    for (const toolCall of choice.message?.tool_calls || []) {
+      output.push(
+        createFunctionCallItem(
+          toolCall.id,
+          toolCall.function.name,
+          toolCall.function.arguments || "",
+        ),
+      );
+    }
+  }
+  return buildResponse(responsesReq, {
+    id: createId("resp"),
+    createdAt: openaiResp.created || Math.floor(Date.now() / 1000),
+    model: openaiResp.model,
+    status: "completed",
+    output: output,
+    usage: openaiResp.usage,
+  });
+}
+
+/**
+ * Converts the output items of a response into chat messages,
+ * so they can be replayed when the conversation is continued.
+ *
+ * @param {Array} output - The output items of a Responses API response
+ *
+ * @returns {Array} Chat messages equivalent to the output
+ */
+export function convertOutputToMessages(output) {
+  const message = { role: "assistant", content: "" };
+  for (const item of output) {
+    if (item.type === "message") {
+      message.content += item.content.map((part) => part.text).join("");
+    } else if (item.type === "function_call") {
+      if (!message.tool_calls) {
+        message.tool_calls = [];
+      }
+      message.tool_calls.push({
+        id: item.call_id,
+        type: "function",
+        function: { name: item.name, arguments: item.arguments },
+      });
+    }
+  }
+  return [message];
+}
+
+/**
+ * Translates streamed chat completion chunks into Responses API streaming events.
+ * One instance must be used per response since it tracks the open output items.
+ */
+export class ResponsesStreamTranslator {
+  constructor(responsesReq, model) {
+    this.responsesReq = responsesReq;
+    this.response = buildResponse(responsesReq, {
+      id: createId("resp"),
+      createdAt: Math.floor(Date.now() / 1000),
+      model: model,
+      status: "in_progress",
+      output: [],
+    });
+    this.sequenceNumber = 0;
+    this.started = false;
+    this.currentItem = null;
+    this.currentToolIndex = undefined;
+  }
+
+  /**
+   * Translates one chat completion chunk into zero or more Responses events.
+   *
+   * @param {Object} chunk - A parsed chat completion chunk
+   *
+   * @returns {Array<Object>} Responses events, each with a `type` field
+   */
+  translate(chunk) {
+    const events = [];
+    if (!this.started) {
+      events.push(...this.#start(chunk.model));
+    }
+    if (chunk.usage) {
+      this.response.usage = convertUsage(chunk.usage);
+    }
+
+    for (const choice of chunk.choices || []) {
+      const delta = choice.delta || {};
+      if (delta.content) {
+        if (this.currentItem?.type !== "message") {
+          events.push(...this.#addItem(createMessageItem("", "in_progress")));
+          events.push(
+            this.#event("response.content_part.added", {
+              item_id: this.currentItem.id,
+              output_index: this.#outputIndex(),
+              content_index: 0,
+              part: { type: "output_text", text: "", annotations: [] },
+            }),
+          );
+        }
+        this.currentItem.content[0].text += delta.content;
+        events.push(
+          this.#event("response.output_text.delta", {
+            item_id: this.currentItem.id,
+            output_index: this.#outputIndex(),
+            content_index: 0,
+            delta: delta.content,
+          }),
+        );
+      }
+      for (const toolCallDelta of delta.tool_calls || []) {
+        const isNewToolCall =
+          this.currentItem?.type !== "function_call" ||
+          (toolCallDelta.id && toolCallDelta.id !== this.currentItem.call_id) ||
+          (toolCallDelta.index !== undefined &&
+            toolCallDelta.index !== this.currentToolIndex);
+        if (isNewToolCall) {
+          const item = createFunctionCallItem(
+            toolCallDelta.id,
+            toolCallDelta.function?.name,
+            "",
+            "in_progress",
+          );
+          events.push(...this.#addItem(item));
+          this.currentToolIndex = toolCallDelta.index;
+        }
+        if (toolCallDelta.function?.arguments) {
+          this.currentItem.arguments += toolCallDelta.function.arguments;
+          events.push(
+            this.#event("response.function_call_arguments.delta", {
+              item_id: this.currentItem.id,
+              output_index: this.#outputIndex(),
+              delta: toolCallDelta.function.arguments,
+            }),
+          );
+        }
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Completes the response, to be called once the upstream stream has ended.
+   *
+   * @returns {Array<Object>} The closing Responses events
+   */
+  finish() {
+    const events = [];
+    if (!this.started) {
+      events.push(...this.#start(this.response.model));
+    }
+    events.push(...this.#closeItem());
+    this.response.status = "completed";
+    events.push(this.#event("response.completed", { response: this.response }));
+    return events;
+  }
+
+  #start(model) {
+    this.started = true;
+    if (model) {
+      this.response.model = model;
+    }
+    return [
+      this.#event("response.created", { response: { ...this.response } }),
+      this.#event("response.in_progress", { response: { ...this.response } }),
+    ];
+  }
+
+  #addItem(item) {
+    const events = this.#closeItem();
+    this.response.output.push(item);
+    this.currentItem = item;
+    events.push(
+      this.#event("response.output_item.added", {
+        output_index: this.#outputIndex(),
+        item: structuredClone(item),
+      }),
+    );
+    return events;
+  }
+
+  #closeItem() {
+    const item = this.currentItem;
+    if (!item) {
+      return [];
+    }
+    const events = [];
+    const outputIndex = this.#outputIndex();
+    item.status = "completed";
+    if (item.type === "message") {
+      const part = item.content[0];
+      events.push(
+        this.#event("response.output_text.done", {
+          item_id: item.id,
+          output_index: outputIndex,
+          content_index: 0,
+          text: part.text,
+        }),
+      );
+      events.push(
+        this.#event("response.content_part.done", {
+          item_id: item.id,
+          output_index: outputIndex,
+          content_index: 0,
+          part: part,
+        }),
+      );
+    } else {
+      events.push(
+        this.#event("response.function_call_arguments.done", {
+          item_id: item.id,
+          output_index: outputIndex,
+          arguments: item.arguments,
+        }),
+      );
+    }
+    events.push(
+      this.#event("response.output_item.done", {
+        output_index: outputIndex,
+        item: item,
+      }),
+    );
+    this.currentItem = null;
+    return events;
+  }
+
+  #outputIndex() {
+    return this.response.output.length - 1;
+  }
+
+  #event(type, data) {
+    return { type, sequence_number: this.sequenceNumber++, ...data };
+  }
+}
+
+/**
+ * Formats a Responses API event as a server-sent event.
+ *
+ * @param {Object} event - The Responses API event
+ *
+ * @returns {string} The SSE frame for the event
+ */
+export function formatResponsesEvent(event) {
+  return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+function convertInputItems(input) {
+  if (!input) {
+    return [];
+  }
+  if (typeof input === "string") {
+    return [{ role: "user", content: input }];
+  }
+
+  const messages = [];
+  for (const item of input) {
+    if (item.type === "function_call") {
+      // Consecutive function calls belong to the same assistant turn
+      let assistantMessage = messages[messages.length - 1];
+      if (assistantMessage?.role !== "assistant") {
+        assistantMessage = { role: "assistant", content: "" };
+        messages.push(assistantMessage);
+      }
+      if (!assistantMessage.tool_calls) {
+        assistantMessage.tool_calls = [];
+      }
+      assistantMessage.tool_calls.push({
+        id: item.call_id,
+        type: "function",
+        function: { name: item.name, arguments: item.arguments },
+      });
+    } else if (item.type === "function_call_output") {
+      messages.push({
+        role: "tool",
+        tool_call_id: item.call_id,
+        content:
+          typeof item.output === "string"
+            ? item.output
+            : JSON.stringify(item.output),
+      });
+    } else if (item.type === "message" || (!item.type && item.role)) {
+      messages.push({
+        role: item.role === "developer" ? "system" : item.role,
+        content: convertContent(item.content),
+      });
+    } else {
+      console.warn(`Unsupported input item type ignored: ${item.type}`);
+    }
+  }
+  return messages;
+}
+
+function convertContent(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+
+  const parts = [];
+  for (const part of content || []) {
+    if (part.type === "input_text" || part.type === "output_text") {
+      parts.push({ type: "text", text: part.text });
+    } else if (part.type === "input_image") {
+      parts.push({
+        type: "image_url",
+        image_url: { url: part.image_url, detail: part.detail },
+      });
+    }
+  }
+  if (parts.every((part) => part.type === "text")) {
+    return parts.map((part) => part.text).join("\n");
+  }
+  return parts;
+}
+
+function buildResponse(
+  responsesReq,
+  { id, createdAt, model, status, output, usage },
+) {
+  return {
+    id: id,
+    object: "response",
+    created_at: createdAt,
+    status: status,
+    error: null,
+    incomplete_details: null,
+    instructions: responsesReq.instructions ?? null,
+    max_output_tokens: responsesReq.max_output_tokens ?? null,
+    model: model || responsesReq.model,
+    output: output,
+    parallel_tool_calls: responsesReq.parallel_tool_calls ?? true,
+    previous_response_id: responsesReq.previous_response_id ?? null,
+    store: responsesReq.store ?? true,
+    temperature: responsesReq.temperature ?? null,
+    text: responsesReq.text ?? { format: { type: "text" } },
+    tool_choice: responsesReq.tool_choice ?? "auto",
+    tools: responsesReq.tools ?? [],
+    top_p: responsesReq.top_p ?? null,
+    usage: usage ? convertUsage(usage) : null,
+    metadata: responsesReq.metadata ?? {},
+  };
+}
+
+function createMessageItem(text, status = "completed") {
+  return {
+    type: "message",
+    id: createId("msg"),
+    status: status,
+    role: "assistant",
+    content: [{ type: "output_text", text: text, annotations: [] }],
+  };
+}
+
+function createFunctionCallItem(callId, name, args, status = "completed") {
+  return {
+    type: "function_call",
+    id: createId("fc"),
+    call_id: callId || createId("call"),
+    name: name,
+    arguments: args,
+    status: status,
+  };
+}
+
+function convertUsage(usage) {
+  const inputTokens = usage.prompt_tokens || 0;
+  const outputTokens = usage.completion_tokens || 0;
+  return {
+    input_tokens: inputTokens,
+    output_tokens: outputTokens,
+    total_tokens: usage.total_tokens || inputTokens + outputTokens,
+  };
+}
+
+function createId(prefix) {
+  return `${prefix}_${crypto.randomUUID().replace(/-/g, "")}`;
+}
@@ -0,0 +1,295 @@
+/**
+ * Utility functions for structured (JSON) outputs.
+ * Provides the mapping from Ollama's `format` to OpenAI's `response_format`,
+ * schema-guided prompting and JSON schema validation for models without
+ * native structured output support.
+ */
+
+/**
+ * Converts the Ollama `format` field into an OpenAI `response_format`.
+ * The schema isn't sent in strict mode, which rejects the common schemas that
+ * don't list every property as required, the reply is validated locally instead.
+ *
+ * @param {string|Object|undefined} format - `"json"` or a JSON schema
+ *
+ * @returns {Object|undefined} The equivalent `response_format`, undefined for free-form text
+ */
+export function formatToResponseFormat(format) {
+  if (format === "json") {
+    return { type: "json_object" };
+  }
+  if (format && typeof format === "object") {
+    return {
+      type: "json_schema",
+      json_schema: { name: "response", schema: format },
+    };
+  }
+  return undefined;
+}
+
+/**
+ * Builds a system prompt instructing the model to answer with JSON only.
+ *
+ * @param {Object} responseFormat - The OpenAI `response_format`
+ *
+ * @returns {string} The instruction to add to the conversation
+ */
+export function buildSchemaPrompt(responseFormat) {
+  const schema = responseFormat.json_schema?.schema;
+  if (responseFormat.type === "json_schema" && schema) {
+    return [
+      "Respond only with a single JSON value that conforms to the following JSON schema.",
+      "Do not wrap it in markdown code fences and do not add any other text.",
+      "",
+      JSON.stringify(schema, null, 2),
+    ].join("\n");
+  }
+  return "Respond only with a single valid JSON object. Do not wrap it in markdown code fences and do not add any other text.";
+}
+
+/**
+ * Checks that a response format's JSON schema can be validated against, i.e.
+ * its patterns are valid regular expressions and its `$ref`s point into the schema.
+ *
+ * @param {Object|undefined} responseFormat - The OpenAI `response_format`
+ *
+ * @returns {string|null} Description of the problem, null if the schema is usable
+ */
+export function findSchemaError(responseFormat) {
+  const schema = responseFormat?.json_schema?.schema;
+  if (responseFormat?.type !== "json_schema" || !schema) {
+    return null;
+  }
+  try {
+    checkSchema(schema, schema);
+    return null;
+  } catch (error) {
+    return `Invalid JSON schema in the response format: ${error.message}`;
+  }
+}
+
+/**
+ * Parses the content returned by the model and validates it against the response format.
+ *
+ * @param {string} content - The text generated by the model
+ * @param {Object} responseFormat - The OpenAI `response_format`
+ *
+ * @returns {{valid: boolean, content: string, errors: Array<string>}} The normalized JSON text
+ *   and the validation errors, if any
+ */
+export function validateStructuredContent(content, responseFormat) {
+  const text = stripCodeFence(content || "");
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    return {
+      valid: false,
+      content: text,
+      errors: [`invalid JSON: ${error.message}`],
+    };
+  }
+
+  let errors = [];
+  const schema = responseFormat.json_schema?.schema;
+  if (responseFormat.type === "json_schema" && schema) {
+    try {
+      errors = validateJsonSchema(value, schema);
+    } catch (error) {
+      errors = [`$: can't be validated: ${error.message}`];
+    }
+  } else if (!isObject(value)) {
+    errors = ["$: expected a JSON object"];
+  }
+  return { valid: errors.length === 0, content: text, errors };
+}
+
+/**
+ * Validates a value against a JSON schema.
+ * Supports the subset of JSON schema used for structured outputs: types, enums, const,
+ * object properties, arrays, combinators, local `$ref`s and the common range/length keywords.
+ *
+ * @param {any} value - The value to validate
+ * @param {Object} schema - The JSON schema
+ * @param {string} [path="$"] - Path of the value, used in error messages
+ * @param {Object} [root=schema] - Root schema used to resolve `$ref`s
+ *
+ * @returns {Array<string>} Validation errors, empty if the value is valid
+ */
+export function validateJsonSchema(value, schema, path = "$", root = schema) {
+  if (schema === true || !schema) {
+    return [];
+  }
+  if (schema === false) {
+    return [`${path}: no value is allowed`];
+  }
+  if (schema.$ref) {
+    return validateJsonSchema(value, resolveRef(schema.$ref, root), path, root);
+  }
+
+  const errors = [];
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(" or ")}`];
+    }
+  }
+  if (schema.enum && !schema.enum.some((item) => deepEqual(item, value))) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const matches = options.filter(
+      (option) => validateJsonSchema(value, option, path, root).length === 0,
+    ).length;
+    if (matches === 0 || (schema.oneOf && matches > 1)) {
+      errors.push(
+        `${path}: must match ${schema.oneOf ? "exactly one" : "at least one"} of the allowed schemas`,
+      );
+    }
+  }
+  for (const subSchema of schema.allOf || []) {
+    errors.push(...validateJsonSchema(value, subSchema, path, root));
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      errors.push(`${path}: must match pattern ${schema.pattern}`);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateJsonSchema(item, schema.items, `${path}[${index}]`, root),
+        );
+      });
+    }
+  }
+  if (isObject(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    }
+    for (const [key, propValue] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(
+          ...validateJsonSchema(
+            propValue,
+            properties[key],
+            `${path}.${key}`,
+            root,
+          ),
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateJsonSchema(
+            propValue,
+            schema.additionalProperties,
+            `${path}.${key}`,
+            root,
+          ),
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "object":
+      return isObject(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+// Throws on the parts of a schema validateJsonSchema can't handle
+function checkSchema(schema, root) {
+  if (Array.isArray(schema)) {
+    schema.forEach((item) => checkSchema(item, root));
+    return;
+  }
+  if (!isObject(schema)) {
+    return;
+  }
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "pattern" && typeof value === "string") {
+      try {
+        new RegExp(value, "u");
+      } catch (error) {
+        throw new Error(`invalid pattern ${value}: ${error.message}`);
+      }
+    } else if (key === "$ref" && typeof value === "string") {
+      if (resolveRef(value, root) === undefined) {
+        throw new Error(`JSON schema reference ${value} not found`);
+      }
+    } else {
+      checkSchema(value, root);
+    }
+  }
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith("#")) {
+    throw new Error(`Unsupported JSON schema reference: ${ref}`);
+  }
+  return ref
+    .slice(1)
+    .split("/")
+    .filter((segment) => segment)
+    .reduce(
+      (schema, segment) =>
+        schema?.[segment.replace(/~1/g, "/").replace(/~0/g, "~")],
+      root,
+    );
+}
+
+function stripCodeFence(text) {
+  const match = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return match ? match[1] : text.trim();
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,79 @@
+/**
+ * Github Copilot Token Manager
+ *
+ * Keeps the stored GitHub Copilot token fresh by scheduling a refresh ahead of
+ * its expiry, based on the `expires_at` and `refresh_in` fields of the token.
+ */
+
+// Retry delay when a scheduled refresh fails
+const RETRY_DELAY_MS = 60 * 1000;
+// setTimeout can't wait longer than this
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+export class CopilotTokenManager {
+  constructor(auth) {
+    this.auth = auth;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Starts refreshing the token ahead of its expiry.
+   * Refreshes immediately if the token is already due.
+   */
+  start() {
+    this.stop();
+    this.#schedule();
+  }
+
+  /**
+   * Stops the scheduled refresh.
+   */
+  stop() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Refreshes the token now and reschedules the next refresh.
+   *
+   * @returns {Promise<boolean>} True if the token was refreshed successfully
+   */
+  async refresh() {
+    try {
+      console.log("Refreshing GitHub Copilot token...");
+      await this.auth.refreshGithubToken();
+      this.#schedule();
+      return true;
+    } catch (error) {
+      console.error("Error refreshing GitHub Copilot token:", error);
+      this.#scheduleIn(RETRY_DELAY_MS);
+      return false;
+    }
+  }
+
+  #schedule() {
+    const expiry = this.auth.getTokenExpiry();
+    if (!expiry || !expiry.refreshAt) {
+      if (!expiry) {
+        console.error("No GitHub token to refresh.");
+      }
+      return;
+    }
+
+    const delay = Math.max(expiry.refreshAt.getTime() - Date.now(), 0);
+    console.log(`GitHub token will be refreshed at ${expiry.refreshAt}`);
+    this.#scheduleIn(delay);
+  }
+
+  #scheduleIn(delay) {
+    this.stop();
+    this.refreshTimer = setTimeout(
+      () => this.refresh(),
+      Math.min(delay, MAX_TIMEOUT_MS),
+    );
+    // Don't keep the process alive just to refresh the token
+    this.refreshTimer.unref();
+  }
+}
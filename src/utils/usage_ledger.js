@@ -0,0 +1,204 @@
+/**
+ * Usage ledger of the proxy server
+ *
+ * Every request served is appended as a JSON line to `usage.jsonl` under the
+ * config path, with its client, model, tokens, latency and status, so the usage
+ * can be summarized later per model, client or profile. Once the ledger grows
+ * past its size limit it's moved to `usage.1.jsonl`, replacing the one before,
+ * so the ledger takes at most twice the limit on disk.
+ */
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { sysConfigPath } from "../config.js";
+
+const MAX_LEDGER_BYTES = 50 * 1024 * 1024;
+
+const DURATION_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+export const USAGE_GROUPS = ["model", "client", "profile"];
+
+export class UsageLedger {
+  constructor(
+    filePath = path.join(sysConfigPath(), "usage.jsonl"),
+    maxBytes = MAX_LEDGER_BYTES,
+  ) {
+    this.filePath = filePath;
+    this.rotatedFilePath = filePath.replace(/(\.jsonl)?$/, ".1.jsonl");
+    this.maxBytes = maxBytes;
+    this.size = null;
+  }
+
+  /**
+   * Appends the usage of a request to the ledger
+   *
+   * @param {Object} entry - The usage containing:
+   *   - timestamp: {string} ISO timestamp of when the request was received
+   *   - client: {string} The client, e.g. `key:<id>` or `ip:<address>`
+   *   - profile: {string|null} The profile the request was served with
+   *   - model: {string|null} The requested model
+   *   - path: {string} The API path
+   *   - status: {number} The HTTP status of the response
+   *   - prompt_tokens: {number} Tokens of the prompt
+   *   - completion_tokens: {number} Tokens of the completion
+   *   - latency_ms: {number} Time until the response was done
+   */
+  record(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    this.#rotateIfFull();
+    this.size += Buffer.byteLength(line);
+    fs.appendFile(
+      this.filePath,
+      line,
+      { encoding: "utf8", mode: 0o600 },
+      (error) => {
+        if (error) {
+          console.error(`Error writing usage ledger ${this.filePath}:`, error);
+        }
+      },
+    );
+  }
+
+  /**
+   * Reads the ledger entries of requests received since a point in time. The
+   * ledger is read line by line, so it's never held in memory as a whole.
+   *
+   * @param {Date|null} [since=null] - The start of the period, all entries if not set
+   *
+   * @returns {AsyncGenerator<Object>} The entries, oldest first
+   */
+  async *read(since = null) {
+    for (const filePath of [this.rotatedFilePath, this.filePath]) {
+      let stats;
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch {
+        continue;
+      }
+      // Nothing in a file last written before the period is of interest
+      if (since && stats.mtime < since) {
+        continue;
+      }
+
+      const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, { encoding: "utf8" }),
+        crlfDelay: Infinity,
+      });
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          const entry = JSON.parse(line);
+          if (!since || new Date(entry.timestamp) >= since) {
+            yield entry;
+          }
+        } catch {
+          // Skip lines cut short, e.g. by a crash while writing
+        }
+      }
+    }
+  }
+
+  /**
+   * Sums up the usage since a point in time per model, client or profile
+   *
+   * @param {Date|null} since - The start of the period, all entries if not set
+   * @param {string} [by="model"] - What to group by: `model`, `client` or `profile`
+   *
+   * @returns {Promise<Array<Object>>} A row per group, most tokens first, containing:
+   *   - the group value under the `by` name
+   *   - requests: {number} Requests served
+   *   - errors: {number} Requests that failed (status >= 400)
+   *   - prompt_tokens, completion_tokens, total_tokens: {number} Tokens used
+   *   - avg_latency_ms: {number} Average time until the response was done
+   */
+  async summarize(since, by = "model") {
+    const groups = new Map();
+    for await (const entry of this.read(since)) {
+      const key = entry[by] ?? "unknown";
+      let group = groups.get(key);
+      if (!group) {
+        group = {
+          [by]: key,
+          requests: 0,
+          errors: 0,
+          prompt_tokens: 0,
+          completion_tokens: 0,
+          total_tokens: 0,
+          latency_ms: 0,
+        };
+        groups.set(key, group);
+      }
+      group.requests++;
+      group.errors += entry.status >= 400 ? 1 : 0;
+      group.prompt_tokens += entry.prompt_tokens || 0;
+      group.completion_tokens += entry.completion_tokens || 0;
+      group.total_tokens +=
+        (entry.prompt_tokens || 0) + (entry.completion_tokens || 0);
+      group.latency_ms += entry.latency_ms || 0;
+    }
+
+    return [...groups.values()]
+      .map(({ latency_ms, ...group }) => ({
+        ...group,
+        avg_latency_ms: Math.round(latency_ms / group.requests),
+      }))
+      .sort((a, b) => b.total_tokens - a.total_tokens);
+  }
+
+  #rotateIfFull() {
+    if (this.size === null) {
+      try {
+        this.size = fs.statSync(this.filePath).size;
+      } catch {
+        this.size = 0;
+      }
+    }
+    if (this.size < this.maxBytes) {
+      return;
+    }
+    try {
+      fs.renameSync(this.filePath, this.rotatedFilePath);
+    } catch (error) {
+      console.error(`Error rotating usage ledger ${this.filePath}:`, error);
+    }
+    // Start over even if moving failed, rather than trying on every request
+    this.size = 0;
+  }
+}
+
+/**
+ * Parses the start of a reporting period, either relative like `30m`, `24h`,
+ * `7d` or `2w`, or an ISO date.
+ *
+ * @param {string|undefined} value - The period start
+ *
+ * @returns {Date|null} The start, null if not given
+ *
+ * @throws {Error} If the value can't be parsed
+ */
+export function parseSince(value) {
+  if (!value) {
+    return null;
+  }
+  const relative = String(value).match(/^(\d+)([mhdw])$/);
+  if (relative) {
+    return new Date(
+      Date.now() - parseInt(relative[1], 10) * DURATION_UNITS_MS[relative[2]],
+    );
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(
+      `Invalid period start '${value}', use e.g. 24h, 7d or an ISO date`,
+    );
+  }
+  return date;
+}
@@ -0,0 +1,65 @@
+// Usage: node account_pool_test.js
+// Checks that the account pool moves on to the next account when one is rate
+// limited, and reports the account that served the request. Doesn't need the
+// server or a signed-in account.
+
+import assert from "assert";
+import { CopilotAccountPool } from "../src/utils/account_pool.js";
+
+function fakeProfile(name, result) {
+  return {
+    name,
+    status: { ready: true },
+    chatClient: {
+      sendRequest: async (
+        messages,
+        options,
+        tools,
+        refreshToken,
+        requestOptions,
+      ) => {
+        // The pool fails over itself, the account shouldn't retry a 429
+        assert.strictEqual(requestOptions.retryRateLimits, false);
+        return { ...result };
+      },
+    },
+  };
+}
+
+async function checkFailover() {
+  const profiles = {
+    alice: fakeProfile("alice", {
+      success: false,
+      error: "Rate limited",
+      statusCode: 429,
+      retryAfterMs: 30 * 1000,
+    }),
+    bob: fakeProfile("bob", { success: true, data: {} }),
+  };
+  const pool = new CopilotAccountPool(
+    { getProfile: (name) => profiles[name] },
+    ["alice", "bob"],
+  );
+
+  const accounts = [];
+  const result = await pool.chatClient.sendRequest([], {}, null, true, {
+    onAccount: (name) => accounts.push(name),
+  });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.profile, "bob");
+  assert.deepStrictEqual(accounts, ["alice", "bob"]);
+
+  const states = pool.getState();
+  assert.strictEqual(states[0].state, "ejected");
+  assert.strictEqual(states[1].state, "healthy");
+
+  // Only bob is left until alice's Retry-After has passed
+  const next = await pool.chatClient.sendRequest([], {}, null, true, {});
+  assert.strictEqual(next.profile, "bob");
+  console.log("Rate limited accounts are skipped:", JSON.stringify(states));
+}
+
+checkFailover().catch((error) => {
+  console.error("Error:", error);
+  process.exitCode = 1;
+});
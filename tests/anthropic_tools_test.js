@@ -0,0 +1,143 @@
+// Usage: node anthropic_tools_test.js [--no-stream]
+// --no-stream: Use non-streaming mode (default: streaming enabled)
+
+// Parse command line arguments with a default value of true for stream
+const args = process.argv.slice(2);
+const stream = args.includes("--no-stream") ? false : true;
+
+const payload = {
+  model: "claude-3.5-sonnet",
+  max_tokens: 1024,
+  system: "You should use tools to get information. You can use multple tools for one query.",
+  messages: [
+    {
+      role: "user",
+      content: "What's the time and weather in Beijing now?",
+    },
+  ],
+  tools: [
+    {
+      name: "get_current_time",
+      description: "Get the current time for a specific timezone",
+      input_schema: {
+        type: "object",
+        properties: {
+          timezone: {
+            type: "string",
+            description:
+              "The timezone to get the current time for (e.g., America/New_York)",
+          },
+        },
+        required: ["timezone"],
+      },
+    },
+    {
+      name: "get_current_weather",
+      description: "Get the current weather for a location",
+      input_schema: {
+        type: "object",
+        properties: {
+          location: {
+            type: "string",
+            description:
+              "The location to get the weather for, e.g. San Francisco, CA",
+          },
+          format: {
+            type: "string",
+            description:
+              "The format to return the weather in, e.g. 'celsius' or 'fahrenheit'",
+            enum: ["celsius", "fahrenheit"],
+          },
+        },
+        required: ["location", "format"],
+      },
+    },
+  ],
+  tool_choice: { type: "auto" },
+  stream: stream,
+};
+
+async function chat() {
+  try {
+    const response = await fetch("http://localhost:11434/v1/messages", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "anthropic-version": "2023-06-01",
+      },
+      body: JSON.stringify(payload),
+    });
+
+    let textResponse = "";
+    let toolResponses = [];
+
+    if (stream) {
+      // Create a stream reader
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      const blocks = {};
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        // Decode the stream chunk and split by lines
+        const chunk = decoder.decode(value);
+        const lines = chunk.split("\n").filter((line) => line.trim());
+
+        for (const line of lines) {
+          console.log("Chunk received:", line);
+          if (!line.startsWith("data: ")) {
+            continue;
+          }
+          const event = JSON.parse(line.slice(6));
+
+          if (event.type === "content_block_start") {
+            blocks[event.index] = { ...event.content_block, json: "" };
+          } else if (event.type === "content_block_delta") {
+            if (event.delta.type === "text_delta") {
+              textResponse += event.delta.text;
+            } else if (event.delta.type === "input_json_delta") {
+              blocks[event.index].json += event.delta.partial_json;
+            }
+          } else if (event.type === "content_block_stop") {
+            const block = blocks[event.index];
+            if (block.type === "tool_use") {
+              toolResponses.push({
+                id: block.id,
+                name: block.name,
+                input: block.json ? JSON.parse(block.json) : {},
+              });
+            }
+          }
+        }
+      }
+    } else {
+      const data = await response.json();
+      console.log("Response received:", JSON.stringify(data, null, 2));
+      for (const block of data.content || []) {
+        if (block.type === "text") {
+          textResponse += block.text;
+        } else if (block.type === "tool_use") {
+          toolResponses.push({
+            id: block.id,
+            name: block.name,
+            input: block.input,
+          });
+        }
+      }
+    }
+
+    console.log("====================\n");
+    console.log("Text Response:\n", textResponse);
+    console.log("\n====================\n");
+    console.log("Tool Response:\n");
+    for (const toolResponse of toolResponses) {
+      console.log(JSON.stringify(toolResponse, null, 2));
+    }
+  } catch (error) {
+    console.error("Error:", error);
+  }
+}
+
+chat();
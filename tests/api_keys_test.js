@@ -0,0 +1,54 @@
+// Usage: node api_keys_test.js
+// Checks that API keys are stored hashed, verified, limited to their models,
+// revoked, and noticed when created by another process. Doesn't need the
+// server, the keys are kept in a temporary directory.
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { ApiKeyStore, isModelAllowed } from "../src/utils/api_keys.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghcp-test-"));
+const keysFile = path.join(configDir, "api-keys.json");
+
+async function checkKeys() {
+  const serverStore = new ApiKeyStore(keysFile);
+  assert.strictEqual(serverStore.enabled, false);
+
+  // E.g. `ghcp.js keys create` while the server runs
+  const cliStore = new ApiKeyStore(keysFile);
+  const created = cliStore.create({ name: "ci", models: ["gpt-4o"] });
+  assert.ok(!fs.readFileSync(keysFile, "utf8").includes(created.key));
+  await sleep(200);
+
+  assert.strictEqual(serverStore.enabled, true);
+  const entry = serverStore.verify(created.key);
+  assert.strictEqual(entry.id, created.id);
+  assert.strictEqual(serverStore.verify("ghcp_wrong"), null);
+  assert.strictEqual(serverStore.verify(undefined), null);
+
+  assert.ok(isModelAllowed(entry, "gpt-4o:latest"));
+  assert.ok(!isModelAllowed(entry, "claude-3.5-sonnet"));
+  assert.ok(isModelAllowed(null, "claude-3.5-sonnet"));
+
+  assert.ok(cliStore.revoke(created.id));
+  assert.ok(!cliStore.revoke(created.id));
+  await sleep(200);
+  assert.strictEqual(serverStore.verify(created.key), null);
+  console.log("API keys are verified, limited to models and revoked.");
+}
+
+async function runChecks() {
+  try {
+    await checkKeys();
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+}
+
+runChecks().catch((error) => {
+  console.error("Error:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,62 @@
+// Usage: node credential_store_test.js
+// Checks that credentials round trip through the plaintext and encrypted file
+// stores, that the encrypted file needs the right passphrase and that plaintext
+// credentials are moved into it. Doesn't need the server, the credentials are
+// made up in a temporary directory.
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createCredentialStore } from "../src/utils/credential_store.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghcp-test-"));
+const tokenFile = path.join(configDir, "github-token.json");
+const token = { token: "tid=secret", expires_at: 1700000000 };
+
+function checkPlaintextStore() {
+  const store = createCredentialStore({ backend: "file" });
+  store.write(tokenFile, token);
+  assert.deepStrictEqual(store.read(tokenFile), token);
+  if (process.platform !== "win32") {
+    assert.strictEqual(fs.statSync(tokenFile).mode & 0o777, 0o600);
+  }
+  store.remove(tokenFile);
+  assert.strictEqual(store.read(tokenFile), null);
+  console.log("Credentials round trip through the plaintext file.");
+}
+
+function checkEncryptedStore() {
+  // Credentials of the plaintext file are moved on first read
+  fs.writeFileSync(tokenFile, JSON.stringify(token), { mode: 0o600 });
+  const store = createCredentialStore({ passphrase: "correct horse" });
+  assert.strictEqual(store.name, "encrypted");
+  assert.deepStrictEqual(store.read(tokenFile), token);
+  assert.ok(!fs.existsSync(tokenFile));
+  const encrypted = fs.readFileSync(store.storagePath(tokenFile), "utf8");
+  assert.ok(!encrypted.includes("tid=secret"));
+
+  // A new process derives the key again
+  const newStore = createCredentialStore({
+    backend: "encrypted",
+    passphrase: "correct horse",
+  });
+  assert.deepStrictEqual(newStore.read(tokenFile), token);
+  const wrongStore = createCredentialStore({
+    backend: "encrypted",
+    passphrase: "battery staple",
+  });
+  assert.throws(() => wrongStore.read(tokenFile), /GHCP_CREDENTIAL_KEY/);
+  assert.throws(
+    () => createCredentialStore({ backend: "encrypted" }),
+    /needs a passphrase/,
+  );
+  console.log("Credentials round trip through the encrypted file.");
+}
+
+try {
+  checkPlaintextStore();
+  checkEncryptedStore();
+} finally {
+  fs.rmSync(configDir, { recursive: true, force: true });
+}
@@ -0,0 +1,108 @@
+// Usage: node error_utils_test.js
+// Checks the error responses in the format of each API, the statuses Copilot
+// API errors are answered with and the errors ending a broken stream. Doesn't
+// need the server.
+
+import assert from "assert";
+import { formatAnthropicEvent } from "../src/utils/anthropic_utils.js";
+import {
+  classifyUpstreamError,
+  formatError,
+} from "../src/utils/error_utils.js";
+import { parseErrorBody } from "../src/utils/http_utils.js";
+
+function checkFormats() {
+  assert.deepStrictEqual(formatError("ollama", 404, "not found"), {
+    error: "not found",
+  });
+  assert.deepStrictEqual(
+    formatError("openai", 403, "denied", "model_not_allowed"),
+    {
+      error: {
+        message: "denied",
+        type: "permission_error",
+        param: "model",
+        code: "model_not_allowed",
+      },
+    },
+  );
+  assert.deepStrictEqual(formatError("anthropic", 429, "slow down"), {
+    type: "error",
+    error: { type: "rate_limit_error", message: "slow down" },
+  });
+  console.log("Errors are formatted per API.");
+}
+
+function checkUpstreamErrors() {
+  const classify = (statusCode, error, errorCode = null) =>
+    classifyUpstreamError({ statusCode, error, errorCode });
+
+  assert.deepStrictEqual(classify(400, "x", "model_not_supported"), {
+    status: 404,
+    errorCode: "model_not_found",
+  });
+  assert.deepStrictEqual(classify(429, "Monthly quota exceeded"), {
+    status: 429,
+    errorCode: "quota_exceeded",
+  });
+  // The quota is only recognized by the message for rate limit statuses
+  assert.deepStrictEqual(classify(400, "Invalid quota parameter"), {
+    status: 400,
+    errorCode: null,
+  });
+  // A rejected Copilot token is the server's problem, not the client's key
+  assert.deepStrictEqual(classify(401, "Unauthorized"), {
+    status: 502,
+    errorCode: null,
+  });
+  assert.deepStrictEqual(classify(503, "Unavailable"), {
+    status: 500,
+    errorCode: null,
+  });
+  // Errors without a response, e.g. a dropped connection
+  assert.deepStrictEqual(classify(undefined, "quota"), {
+    status: 500,
+    errorCode: null,
+  });
+  console.log("Copilot API errors get their statuses.");
+}
+
+function checkStreamErrors() {
+  // A Copilot API error once the response has started streaming
+  const upstreamError = parseErrorBody(
+    JSON.stringify({
+      error: { message: "Prompt is too long", code: "invalid_request_body" },
+    }),
+  );
+  const result = {
+    statusCode: 400,
+    error: upstreamError.message,
+    errorCode: upstreamError.code,
+  };
+  const { status, errorCode } = classifyUpstreamError(result);
+
+  // The Ollama stream ends with an error line, the message as the API sent it
+  assert.strictEqual(
+    `${JSON.stringify(formatError("ollama", status, result.error, errorCode))}\n`,
+    '{"error":"Prompt is too long"}\n',
+  );
+  assert.deepStrictEqual(
+    formatError("openai", status, result.error, errorCode).error,
+    {
+      message: "Prompt is too long",
+      type: "invalid_request_error",
+      param: null,
+      code: null,
+    },
+  );
+  assert.ok(
+    formatAnthropicEvent(
+      formatError("anthropic", status, result.error, errorCode),
+    ).startsWith("event: error\ndata: "),
+  );
+  console.log("Broken streams end with an error of their API.");
+}
+
+checkFormats();
+checkUpstreamErrors();
+checkStreamErrors();
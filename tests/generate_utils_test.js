@@ -0,0 +1,50 @@
+// Usage: node generate_utils_test.js
+// Checks how Ollama generate requests are turned into chat messages and chat
+// responses back into generate responses. Doesn't need the server.
+
+import assert from "assert";
+import {
+  convertGenerateToMessages,
+  toGenerateResp,
+} from "../src/utils/generate_utils.js";
+
+function checkMessages() {
+  assert.deepStrictEqual(
+    convertGenerateToMessages({
+      system: "Answer briefly.",
+      prompt: "What's in the picture?",
+      images: ["aGVsbG8="],
+    }),
+    [
+      { role: "system", content: "Answer briefly." },
+      { role: "user", content: "What's in the picture?", images: ["aGVsbG8="] },
+    ],
+  );
+  assert.deepStrictEqual(convertGenerateToMessages({ prompt: "Hi" }), [
+    { role: "user", content: "Hi" },
+  ]);
+  console.log("Generate requests become chat messages.");
+}
+
+function checkResponses() {
+  const chatResp = {
+    model: "gpt-4o",
+    created_at: "2025-01-01T00:00:00.000Z",
+    message: { role: "assistant", content: "Rayleigh scattering." },
+    done: true,
+    done_reason: "stop",
+  };
+  assert.deepStrictEqual(toGenerateResp(chatResp), {
+    model: "gpt-4o",
+    created_at: "2025-01-01T00:00:00.000Z",
+    done: true,
+    done_reason: "stop",
+    response: "Rayleigh scattering.",
+  });
+  // The last streamed part may come without a message
+  assert.strictEqual(toGenerateResp({ done: true }).response, "");
+  console.log("Chat responses become generate responses.");
+}
+
+checkMessages();
+checkResponses();
@@ -0,0 +1,58 @@
+// Usage: node github_host_test.js
+// Checks which GitHub host and API URL are used for github.com, GitHub
+// Enterprise Cloud and GitHub Enterprise Server, and that a profile keeps the
+// host it signed in to. Doesn't need the server or a signed-in account.
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  githubApiUrl,
+  githubHost,
+  profileGithubHost,
+  setGithubHost,
+} from "../src/config.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghcp-test-"));
+process.env.XDG_CONFIG_HOME = configDir;
+delete process.env.GHCP_GITHUB_HOST;
+
+function checkApiUrls() {
+  assert.strictEqual(githubApiUrl("github.com"), "https://api.github.com");
+  assert.strictEqual(
+    githubApiUrl("mycorp.ghe.com"),
+    "https://api.mycorp.ghe.com",
+  );
+  assert.strictEqual(
+    githubApiUrl("github.mycorp.com"),
+    "https://github.mycorp.com/api/v3",
+  );
+  console.log("GitHub API URLs are found for each kind of host.");
+}
+
+function checkHosts() {
+  assert.strictEqual(githubHost(), "github.com");
+  process.env.GHCP_GITHUB_HOST = "https://github.mycorp.com/";
+  assert.strictEqual(githubHost(), "github.mycorp.com");
+  delete process.env.GHCP_GITHUB_HOST;
+
+  // A profile signed in to another host keeps using it
+  fs.writeFileSync(
+    path.join(configDir, "apps.json"),
+    JSON.stringify({ "mycorp.ghe.com:Iv1.test": { oauth_token: "gho_test" } }),
+  );
+  assert.strictEqual(profileGithubHost(), "mycorp.ghe.com");
+  // Unless the host is given for this process, e.g. with `--host`
+  setGithubHost("github.com");
+  assert.strictEqual(profileGithubHost(), "github.com");
+  setGithubHost(null);
+  console.log("Profiles use the host they signed in to.");
+}
+
+try {
+  checkApiUrls();
+  checkHosts();
+} finally {
+  fs.rmSync(configDir, { recursive: true, force: true });
+}
@@ -0,0 +1,75 @@
+// Usage: node headless_signin_test.js
+// Checks that a headless sign-in prints the device code instead of opening a
+// browser, and offers it per profile while waiting for the user to enter it.
+// Doesn't need the server or a GitHub account, the language server is faked.
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { CopilotAuth } from "../src/utils/auth_client.js";
+import { setSignInOptions } from "../src/config.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghcp-test-"));
+process.env.XDG_CONFIG_HOME = configDir;
+process.env.GHCP_CREDENTIAL_STORE = "file";
+
+async function checkHeadlessSignIn() {
+  // A valid Copilot token, so signing in doesn't exchange one with GitHub
+  fs.writeFileSync(
+    path.join(configDir, "github-token.json"),
+    JSON.stringify({
+      token: "tid=test",
+      expires_at: Math.floor(Date.now() / 1000) + 1800,
+    }),
+    { mode: 0o600 },
+  );
+  setSignInOptions({ headless: true, output: "json" });
+
+  let user = null;
+  let pendingWhileWaiting = null;
+  let otherProfilePending = null;
+  const auth = new CopilotAuth({
+    request: async (method) => {
+      switch (method) {
+        case "checkStatus":
+          return user ? { status: "OK", user } : { status: "NotSignedIn" };
+        case "signInInitiate":
+          return {
+            userCode: "ABCD-1234",
+            verificationUri: "https://github.com/login/device",
+            expiresIn: 900,
+          };
+        case "signInConfirm":
+          pendingWhileWaiting = auth.getPendingSignIn();
+          otherProfilePending = new CopilotAuth(null, "bob").getPendingSignIn();
+          user = "octocat";
+          return { status: "OK", user };
+        default:
+          throw new Error(`Unexpected request ${method}`);
+      }
+    },
+  });
+
+  assert.strictEqual(await auth.signIn(), true);
+  assert.strictEqual(pendingWhileWaiting.userCode, "ABCD-1234");
+  assert.strictEqual(pendingWhileWaiting.githubHost, "github.com");
+  assert.ok(pendingWhileWaiting.expiresAt);
+  assert.strictEqual(otherProfilePending, null);
+  // The code is gone once the user entered it
+  assert.strictEqual(auth.getPendingSignIn(), null);
+  console.log("Headless sign-ins offer the device code of their profile.");
+}
+
+async function runChecks() {
+  try {
+    await checkHeadlessSignIn();
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+}
+
+runChecks().catch((error) => {
+  console.error("Error:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,71 @@
+// Usage: node http_utils_test.js
+// Checks how upstream error bodies and Retry-After headers are read, and that
+// connections are kept alive for reuse. Doesn't need the server.
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getAgent,
+  parseErrorBody,
+  parseRetryAfter,
+} from "../src/utils/http_utils.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghcp-test-"));
+process.env.XDG_CONFIG_HOME = configDir;
+for (const name of ["HTTPS_PROXY", "https_proxy", "HTTP_PROXY", "http_proxy"]) {
+  delete process.env[name];
+}
+
+function checkErrorBodies() {
+  assert.deepStrictEqual(
+    parseErrorBody(
+      JSON.stringify({
+        error: {
+          message: "The model is not supported",
+          code: "model_not_supported",
+        },
+      }),
+    ),
+    {
+      message: "The model is not supported",
+      code: "model_not_supported",
+      type: null,
+    },
+  );
+  assert.deepStrictEqual(parseErrorBody(JSON.stringify({ error: "Denied" })), {
+    message: "Denied",
+    code: null,
+    type: null,
+  });
+  assert.strictEqual(parseErrorBody("Bad Gateway\n").message, "Bad Gateway");
+  assert.strictEqual(parseErrorBody("").message, "(no details)");
+  console.log("Upstream error bodies are read.");
+}
+
+function checkRetryAfter() {
+  assert.strictEqual(parseRetryAfter(undefined), null);
+  assert.strictEqual(parseRetryAfter("30"), 30 * 1000);
+  const inAMinute = new Date(Date.now() + 60 * 1000).toUTCString();
+  const delayMs = parseRetryAfter(inAMinute);
+  assert.ok(delayMs > 58 * 1000 && delayMs <= 60 * 1000);
+  assert.strictEqual(parseRetryAfter("Wed, 21 Oct 2015 07:28:00 GMT"), 0);
+  assert.strictEqual(parseRetryAfter("soon"), null);
+  console.log("Retry-After headers are read in seconds and as dates.");
+}
+
+function checkAgents() {
+  const agent = getAgent("api.githubcopilot.com");
+  assert.strictEqual(agent.keepAlive, true);
+  assert.strictEqual(getAgent("api.github.com"), agent);
+  console.log("Connections are kept alive and shared.");
+}
+
+try {
+  checkErrorBodies();
+  checkRetryAfter();
+  checkAgents();
+} finally {
+  fs.rmSync(configDir, { recursive: true, force: true });
+}
@@ -0,0 +1,55 @@
+// Usage: node model_utils_test.js
+// Checks how Copilot models are described by the model endpoints. Doesn't
+// need the server.
+
+import assert from "assert";
+import { toOllamaModelShow, toOpenaiModel } from "../src/utils/model_utils.js";
+
+const model = {
+  id: "gpt-4o",
+  name: "GPT-4o",
+  vendor: "Azure OpenAI",
+  version: "gpt-4o-2024-11-20",
+  capabilities: {
+    family: "gpt-4o",
+    type: "chat",
+    limits: { max_context_window_tokens: 128000, max_output_tokens: 16384 },
+    supports: { tool_calls: true, vision: true },
+  },
+};
+
+function checkShow() {
+  const show = toOllamaModelShow(model);
+  assert.deepStrictEqual(show.capabilities, ["completion", "tools", "vision"]);
+  assert.deepStrictEqual(show.model_info, {
+    "general.architecture": "gpt-4o",
+    "general.basename": "GPT-4o",
+    "general.version": "gpt-4o-2024-11-20",
+    "gpt-4o.context_length": 128000,
+    "gpt-4o.max_output_tokens": 16384,
+  });
+  assert.strictEqual(show.parameters, "num_ctx 128000");
+  assert.ok(show.modelfile.includes("FROM copilot/gpt-4o"));
+  assert.strictEqual(show.details.family, "gpt-4o");
+
+  const embedding = toOllamaModelShow({
+    id: "text-embedding-3-small",
+    capabilities: { type: "embeddings" },
+  });
+  assert.deepStrictEqual(embedding.capabilities, ["embedding"]);
+  assert.strictEqual(embedding.parameters, "");
+  console.log("Models are described like /api/show does.");
+}
+
+function checkOpenaiModel() {
+  const openaiModel = toOpenaiModel(model);
+  assert.strictEqual(openaiModel.id, "gpt-4o");
+  assert.strictEqual(openaiModel.object, "model");
+  assert.strictEqual(openaiModel.owned_by, "Azure OpenAI");
+  assert.ok(Number.isInteger(openaiModel.created));
+  assert.strictEqual(toOpenaiModel({ id: "o1" }).owned_by, "github-copilot");
+  console.log("Models are described like /v1/models does.");
+}
+
+checkShow();
+checkOpenaiModel();
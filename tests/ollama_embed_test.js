@@ -0,0 +1,36 @@
+// Usage: node ollama_embed_test.js
+
+const payload = {
+  model: "text-embedding-3-small",
+  input: ["Why is the sky blue?", "Why is the grass green?"],
+};
+
+async function embed() {
+  try {
+    const response = await fetch("http://localhost:11434/api/embed", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+
+    const data = await response.json();
+    if (!data.embeddings) {
+      console.error("Unexpected response:", JSON.stringify(data));
+      return;
+    }
+
+    console.log("Model:", data.model);
+    console.log("Prompt tokens:", data.prompt_eval_count);
+    data.embeddings.forEach((embedding, index) => {
+      console.log(
+        `Embedding ${index}: ${embedding.length} dimensions, starts with [${embedding.slice(0, 3).join(", ")}, ...]`,
+      );
+    });
+  } catch (error) {
+    console.error("Error:", error);
+  }
+}
+
+embed();
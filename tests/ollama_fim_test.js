@@ -0,0 +1,62 @@
+// Usage: node ollama_fim_test.js [--no-stream]
+// --no-stream: Use non-streaming mode (default: streaming enabled)
+
+// Parse command line arguments with a default value of true for stream
+const args = process.argv.slice(2);
+const stream = args.includes("--no-stream") ? false : true;
+
+const payload = {
+  model: "gpt-4o-copilot",
+  language: "python",
+  prompt: "def fibonacci(n):\n    ",
+  suffix: "\n\nprint(fibonacci(10))\n",
+  stream: stream,
+};
+
+async function complete() {
+  try {
+    const response = await fetch("http://localhost:11434/api/generate", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+
+    let completion = "";
+
+    // Create a stream reader
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      // Decode the stream chunk and split by lines
+      const chunk = decoder.decode(value);
+      const lines = chunk.split("\n").filter((line) => line.trim());
+
+      for (const line of lines) {
+        const data = JSON.parse(line);
+        console.log("Chunk received:", JSON.stringify(data));
+
+        if (data.response) {
+          completion += data.response;
+        }
+
+        if (data.done) {
+          console.log("Stream finished.\n");
+          break;
+        }
+      }
+    }
+
+    console.log("====================\n");
+    console.log(`${payload.prompt}${completion}${payload.suffix}`);
+  } catch (error) {
+    console.error("Error:", error);
+  }
+}
+
+complete();
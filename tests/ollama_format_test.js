@@ -0,0 +1,116 @@
+// Usage: node ollama_format_test.js [--no-stream]
+// --no-stream: Use non-streaming mode (default: streaming enabled)
+// First checks the handling of schemas, which doesn't need the server.
+
+import assert from "assert";
+import {
+  findSchemaError,
+  formatToResponseFormat,
+  validateStructuredContent,
+} from "../src/utils/structured_output.js";
+
+// Parse command line arguments with a default value of true for stream
+const args = process.argv.slice(2);
+const stream = args.includes("--no-stream") ? false : true;
+
+const payload = {
+  model: "claude-3.5-sonnet",
+  messages: [
+    {
+      role: "user",
+      content:
+        "Ollama is 22 years old and is busy saving the world. Return a JSON object with the age and availability.",
+    },
+  ],
+  format: {
+    type: "object",
+    properties: {
+      age: { type: "integer" },
+      available: { type: "boolean" },
+    },
+    required: ["age", "available"],
+    additionalProperties: false,
+  },
+  stream: stream,
+};
+
+function checkSchemas() {
+  // Schemas which don't list every property as required aren't sent as strict
+  const responseFormat = formatToResponseFormat({
+    type: "object",
+    properties: { age: { type: "integer" }, name: { type: "string" } },
+    required: ["age"],
+  });
+  assert.strictEqual(responseFormat.json_schema.strict, undefined);
+  assert.strictEqual(
+    validateStructuredContent('{"age": 22}', responseFormat).valid,
+    true,
+  );
+  assert.strictEqual(
+    validateStructuredContent('{"age": "22"}', responseFormat).valid,
+    false,
+  );
+
+  // Schemas which can't be validated against are rejected up front
+  assert.strictEqual(findSchemaError(responseFormat), null);
+  assert.match(
+    findSchemaError(formatToResponseFormat({ type: "string", pattern: "(" })),
+    /invalid pattern/,
+  );
+  assert.match(
+    findSchemaError(
+      formatToResponseFormat({ $ref: "https://example.com/schema.json" }),
+    ),
+    /not found|Unsupported/,
+  );
+  console.log("Schemas are checked.\n");
+}
+
+async function chat() {
+  checkSchemas();
+  try {
+    const response = await fetch("http://localhost:11434/api/chat", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+
+    let fullResponse = "";
+
+    // Create a stream reader
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      // Decode the stream chunk and split by lines
+      const chunk = decoder.decode(value);
+      const lines = chunk.split("\n").filter((line) => line.trim());
+
+      for (const line of lines) {
+        const data = JSON.parse(line);
+        console.log("Chunk received:", JSON.stringify(data));
+
+        if (data.message) {
+          fullResponse += data.message.content;
+        }
+
+        if (data.done) {
+          console.log("Stream finished.\n");
+          break;
+        }
+      }
+    }
+
+    console.log("====================\n");
+    console.log("Parsed Response:\n", JSON.parse(fullResponse));
+  } catch (error) {
+    console.error("Error:", error);
+  }
+}
+
+chat();
@@ -0,0 +1,32 @@
+// Usage: node ollama_options_test.js
+// Checks how Ollama model options are translated into OpenAI parameters.
+// Doesn't need the server.
+
+import assert from "assert";
+import { convertOllamaOptions } from "../src/utils/ollama_options.js";
+
+function checkOptions() {
+  assert.deepStrictEqual(
+    convertOllamaOptions({
+      num_predict: 128,
+      temperature: 0.2,
+      stop: "\n\n",
+      top_k: 40,
+      num_ctx: 8192,
+      seed: null,
+    }),
+    {
+      params: { max_tokens: 128, temperature: 0.2, stop: ["\n\n"] },
+      ignored: ["top_k", "num_ctx"],
+    },
+  );
+  // -1 and -2 mean no limit in Ollama
+  assert.deepStrictEqual(convertOllamaOptions({ num_predict: -1 }).params, {});
+  assert.deepStrictEqual(convertOllamaOptions(undefined), {
+    params: {},
+    ignored: [],
+  });
+  console.log("Ollama options are translated, unsupported ones reported.");
+}
+
+checkOptions();
@@ -0,0 +1,136 @@
+// Usage: node ollama_parallel_tools_test.js [--no-stream]
+// --no-stream: Use non-streaming mode (default: streaming enabled)
+// Asks for the weather of two cities, so the model calls the same tool twice,
+// then sends the tool results back with their `tool_call_id`s.
+// First checks that streamed calls are kept apart when a model reports every
+// call at index 0, which doesn't need the server.
+
+import assert from "assert";
+import { accumulateToolCall } from "../src/utils/chat_client.js";
+
+// Parse command line arguments with a default value of true for stream
+const args = process.argv.slice(2);
+const stream = args.includes("--no-stream") ? false : true;
+
+const tools = [
+  {
+    type: "function",
+    function: {
+      name: "get_current_weather",
+      description: "Get the current weather for a location",
+      parameters: {
+        type: "object",
+        properties: {
+          location: {
+            type: "string",
+            description:
+              "The location to get the weather for, e.g. San Francisco, CA",
+          },
+        },
+        required: ["location"],
+      },
+    },
+  },
+];
+
+const messages = [
+  {
+    role: "system",
+    content:
+      "You should use tools to get information. Call the tool once per location, in parallel.",
+  },
+  {
+    role: "user",
+    content: "What's the weather in Beijing and in Shanghai now?",
+  },
+];
+
+async function sendChat() {
+  const response = await fetch("http://localhost:11434/api/chat", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      model: "claude-3.5-sonnet",
+      messages: messages,
+      tools: tools,
+      stream: stream,
+    }),
+  });
+
+  const message = { role: "assistant", content: "", tool_calls: [] };
+
+  // Create a stream reader
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    // Decode the stream chunk and split by lines
+    const chunk = decoder.decode(value);
+    const lines = chunk.split("\n").filter((line) => line.trim());
+
+    for (const line of lines) {
+      const data = JSON.parse(line);
+      console.log("Chunk received:", JSON.stringify(data));
+      if (data.message?.content) {
+        message.content += data.message.content;
+      }
+      if (data.message?.tool_calls) {
+        message.tool_calls.push(...data.message.tool_calls);
+      }
+    }
+  }
+  return message;
+}
+
+function checkToolCallsAtSameIndex() {
+  const incompleteResult = { functions: {} };
+  const deltas = [
+    { index: 0, id: "a", function: { name: "get_current_weather" } },
+    { index: 0, function: { arguments: '{"location":"Paris"}' } },
+    { index: 0, id: "b", function: { name: "get_current_weather" } },
+    { index: 0, function: { arguments: '{"location":"Rome"}' } },
+  ];
+  for (const delta of deltas) {
+    accumulateToolCall(incompleteResult, delta);
+  }
+  assert.deepStrictEqual(Object.values(incompleteResult.functions), [
+    { id: "a", name: "get_current_weather", arguments: '{"location":"Paris"}' },
+    { id: "b", name: "get_current_weather", arguments: '{"location":"Rome"}' },
+  ]);
+  console.log("Tool calls at the same index are kept apart.\n");
+}
+
+async function chat() {
+  checkToolCallsAtSameIndex();
+  try {
+    const assistantMessage = await sendChat();
+    console.log("====================\n");
+    console.log("Tool Calls:\n");
+    for (const toolCall of assistantMessage.tool_calls) {
+      console.log(JSON.stringify(toolCall, null, 2));
+    }
+    console.log("\n====================\n");
+
+    messages.push(assistantMessage);
+    for (const toolCall of assistantMessage.tool_calls) {
+      messages.push({
+        role: "tool",
+        tool_call_id: toolCall.id,
+        content: `It is sunny and 25 degrees celsius in ${toolCall.function.arguments.location}.`,
+      });
+    }
+
+    const finalMessage = await sendChat();
+    console.log("====================\n");
+    console.log("Final Response:\n", finalMessage.content);
+  } catch (error) {
+    console.error("Error:", error);
+  }
+}
+
+chat();
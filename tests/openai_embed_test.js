@@ -0,0 +1,55 @@
+// Usage: node openai_embed_test.js [--base64]
+// --base64: Request base64 encoded embeddings (default: float arrays)
+
+const args = process.argv.slice(2);
+const base64 = args.includes("--base64");
+
+const payload = {
+  model: "text-embedding-3-small",
+  input: ["Why is the sky blue?", "Why is the grass green?"],
+  dimensions: 256,
+  encoding_format: base64 ? "base64" : "float",
+};
+
+function decodeEmbedding(embedding) {
+  if (!base64) {
+    return embedding;
+  }
+  const buffer = Buffer.from(embedding, "base64");
+  const values = [];
+  for (let offset = 0; offset < buffer.length; offset += 4) {
+    values.push(buffer.readFloatLE(offset));
+  }
+  return values;
+}
+
+async function embed() {
+  try {
+    const response = await fetch("http://localhost:11434/v1/embeddings", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+
+    const data = await response.json();
+    if (!data.data) {
+      console.error("Unexpected response:", JSON.stringify(data));
+      return;
+    }
+
+    console.log("Model:", data.model);
+    console.log("Usage:", JSON.stringify(data.usage));
+    for (const item of data.data) {
+      const embedding = decodeEmbedding(item.embedding);
+      console.log(
+        `Embedding ${item.index}: ${embedding.length} dimensions, starts with [${embedding.slice(0, 3).join(", ")}, ...]`,
+      );
+    }
+  } catch (error) {
+    console.error("Error:", error);
+  }
+}
+
+embed();
@@ -0,0 +1,104 @@
+// Usage: node openai_responses_test.js [--no-stream]
+// --no-stream: Use non-streaming mode (default: streaming enabled)
+// Sends two chained requests, the second one continues the first one
+// through `previous_response_id`.
+// First checks that stored responses are only seen by the client that created
+// them, which doesn't need the server.
+
+import assert from "assert";
+import { ResponseStore } from "../src/utils/responses_utils.js";
+
+// Parse command line arguments with a default value of true for stream
+const args = process.argv.slice(2);
+const stream = args.includes("--no-stream") ? false : true;
+
+async function createResponse(payload) {
+  const response = await fetch("http://localhost:11434/v1/responses", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+
+  if (!stream) {
+    const data = await response.json();
+    console.log("Response received:", JSON.stringify(data, null, 2));
+    return data;
+  }
+
+  // Create a stream reader
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let completed = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    // Decode the stream chunk and split by lines
+    const chunk = decoder.decode(value);
+    const lines = chunk.split("\n").filter((line) => line.trim());
+
+    for (const line of lines) {
+      if (!line.startsWith("data: ")) {
+        continue;
+      }
+      const event = JSON.parse(line.slice(6));
+      if (event.type === "response.output_text.delta") {
+        process.stdout.write(event.delta);
+      } else if (event.type === "response.completed") {
+        completed = event.response;
+      } else if (event.type === "error") {
+        console.error("Error event:", event.message);
+      }
+    }
+  }
+  console.log("\n");
+  return completed;
+}
+
+function checkResponseOwners() {
+  const store = new ResponseStore();
+  const owner = { keyId: "key_a", profile: null };
+  store.save({ id: "resp_1" }, [], owner);
+  assert.ok(store.get("resp_1", owner));
+  assert.strictEqual(store.get("resp_1", { keyId: "key_b" }), undefined);
+  assert.strictEqual(
+    store.get("resp_1", { keyId: "key_a", profile: "x" }),
+    undefined,
+  );
+  assert.strictEqual(store.delete("resp_1", {}), false);
+  assert.strictEqual(store.delete("resp_1", owner), true);
+  console.log("Stored responses are only seen by their owner.\n");
+}
+
+async function chat() {
+  checkResponseOwners();
+  try {
+    const first = await createResponse({
+      model: "claude-3.5-sonnet",
+      instructions: "Answer in one short paragraph.",
+      input: "Why is the sky blue?",
+      stream: stream,
+    });
+    console.log("====================\n");
+    console.log("First response id:", first.id);
+    console.log("\n====================\n");
+
+    const second = await createResponse({
+      model: "claude-3.5-sonnet",
+      instructions: "Answer in one short paragraph.",
+      input: "How is that different than mie scattering?",
+      previous_response_id: first.id,
+      stream: stream,
+    });
+    console.log("====================\n");
+    console.log("Second response id:", second.id);
+    console.log("Usage:", JSON.stringify(second.usage));
+  } catch (error) {
+    console.error("Error:", error);
+  }
+}
+
+chat();
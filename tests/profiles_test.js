@@ -0,0 +1,60 @@
+// Usage: node profiles_test.js
+// Checks which profile names are accepted, where each profile keeps its tokens
+// and that the profile list is cached. Doesn't need the server or a signed-in
+// account, the profiles are made up in a temporary directory.
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  isValidProfileName,
+  listProfiles,
+  profileConfigPath,
+} from "../src/config.js";
+import { CopilotProfileManager } from "../src/utils/profile_manager.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghcp-test-"));
+process.env.XDG_CONFIG_HOME = configDir;
+
+function addProfile(name) {
+  fs.mkdirSync(profileConfigPath(name), { recursive: true });
+}
+
+function checkNames() {
+  assert.ok(isValidProfileName("alice.work"));
+  assert.ok(!isValidProfileName("../alice"));
+  assert.ok(!isValidProfileName(".hidden"));
+  assert.ok(!isValidProfileName(undefined));
+  assert.strictEqual(profileConfigPath("default"), configDir);
+  assert.strictEqual(
+    profileConfigPath("alice"),
+    path.join(configDir, "profiles", "alice", "github-copilot"),
+  );
+  console.log("Profile names are checked and kept apart on disk.");
+}
+
+function checkProfileList() {
+  addProfile("carol");
+  addProfile("alice");
+  assert.deepStrictEqual(listProfiles(), ["default", "alice", "carol"]);
+
+  const profileManager = new CopilotProfileManager();
+  assert.ok(profileManager.hasProfile("alice"));
+  assert.ok(!profileManager.hasProfile("bob"));
+  assert.strictEqual(profileManager.getProfile("bob"), null);
+
+  // Profiles signed in later are found once the list may be read again
+  addProfile("bob");
+  assert.ok(!profileManager.hasProfile("bob"));
+  profileManager.profilesListedAt = 0;
+  assert.ok(profileManager.hasProfile("bob"));
+  console.log("Profiles are listed, default first, and the list is cached.");
+}
+
+try {
+  checkNames();
+  checkProfileList();
+} finally {
+  fs.rmSync(configDir, { recursive: true, force: true });
+}
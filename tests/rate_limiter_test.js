@@ -0,0 +1,80 @@
+// Usage: node rate_limiter_test.js
+// Checks the per-client and server-wide request and token limits, and that the
+// counters survive a restart. Doesn't need the server, the counters are kept in
+// a temporary directory.
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { GLOBAL_CLIENT, RateLimiter } from "../src/utils/rate_limiter.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghcp-test-"));
+const countersFile = path.join(configDir, "rate-limits.json");
+
+async function checkRequestLimits() {
+  // The requests of one minute are counted together, don't start at its end
+  const msLeftInMinute = 60 * 1000 - (Date.now() % (60 * 1000));
+  if (msLeftInMinute < 1000) {
+    await sleep(msLeftInMinute);
+  }
+
+  const limiter = new RateLimiter(countersFile);
+  const limits = {
+    client: { requestsPerMinute: 2 },
+    global: { requestsPerMinute: 3 },
+  };
+  assert.ok(limiter.check("key:a", limits).allowed);
+  assert.ok(limiter.check("key:a", limits).allowed);
+  const limited = limiter.check("key:a", limits);
+  assert.strictEqual(limited.allowed, false);
+  assert.strictEqual(limited.reason, "requests");
+  assert.ok(limited.retryAfterMs > 0 && limited.retryAfterMs <= 60 * 1000);
+
+  // Other clients have their own limit, but share the server-wide one
+  assert.ok(limiter.check("key:b", limits).allowed);
+  const serverLimited = limiter.check("key:b", limits);
+  assert.strictEqual(serverLimited.allowed, false);
+  assert.match(serverLimited.message, /^Server-wide/);
+
+  // The next minute starts over
+  for (const clientId of ["key:a", GLOBAL_CLIENT]) {
+    limiter.counters[clientId].minuteStart -= 60 * 1000;
+  }
+  assert.ok(limiter.check("key:a", limits).allowed);
+  limiter.flush();
+  console.log("Requests are limited per minute, per client and server-wide.");
+}
+
+function checkTokenBudgets() {
+  const limiter = new RateLimiter(countersFile);
+  const limits = { client: { tokensPerDay: 1000 } };
+  assert.ok(limiter.check("key:c", limits).allowed);
+  limiter.addTokens("key:c", 1200);
+  const limited = limiter.check("key:c", limits);
+  assert.strictEqual(limited.allowed, false);
+  assert.strictEqual(limited.reason, "tokens");
+  limiter.flush();
+
+  // The tokens used today still count after a restart
+  const restarted = new RateLimiter(countersFile);
+  assert.strictEqual(restarted.check("key:c", limits).allowed, false);
+  assert.ok(restarted.check("key:d", limits).allowed);
+  restarted.flush();
+  console.log("Tokens are limited per day and counted across restarts.");
+}
+
+async function runChecks() {
+  try {
+    await checkRequestLimits();
+    checkTokenBudgets();
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+}
+
+runChecks().catch((error) => {
+  console.error("Error:", error);
+  process.exitCode = 1;
+});
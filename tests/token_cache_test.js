@@ -0,0 +1,71 @@
+// Usage: node token_cache_test.js
+// Checks that the stored Copilot token is read once, shared by the clients of
+// a profile, and read again after another process changed it. Doesn't need the
+// server or a signed-in account, the token is made up in a temporary directory.
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { CopilotAuth } from "../src/utils/auth_client.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghcp-test-"));
+process.env.XDG_CONFIG_HOME = configDir;
+process.env.GHCP_CREDENTIAL_STORE = "file";
+
+function writeToken(expiresAt) {
+  fs.writeFileSync(
+    path.join(configDir, "github-token.json"),
+    JSON.stringify({ token: "tid=test", expires_at: expiresAt }),
+    { mode: 0o600 },
+  );
+}
+
+async function checkCache() {
+  const now = Math.floor(Date.now() / 1000);
+  writeToken(now + 1800);
+
+  const auth = new CopilotAuth(null);
+  let reads = 0;
+  const store = auth.tokenCache.store;
+  const read = store.read.bind(store);
+  store.read = (filePath) => {
+    reads++;
+    return read(filePath);
+  };
+
+  assert.strictEqual(
+    auth.getTokenExpiry().expiresAt.getTime(),
+    (now + 1800) * 1000,
+  );
+  assert.strictEqual(auth.isTokenExpiring(), false);
+  // Other clients of the profile use the same copy
+  const otherAuth = new CopilotAuth(null);
+  assert.strictEqual(otherAuth.tokenCache, auth.tokenCache);
+  otherAuth.getTokenExpiry();
+  assert.strictEqual(reads, 1);
+
+  // E.g. `ghcp.js signin` in another process
+  writeToken(now + 3600);
+  await sleep(200);
+  assert.strictEqual(
+    auth.getTokenExpiry().expiresAt.getTime(),
+    (now + 3600) * 1000,
+  );
+  assert.strictEqual(reads, 2);
+  console.log("The token is read once and again after it changed.");
+}
+
+async function runChecks() {
+  try {
+    await checkCache();
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+}
+
+runChecks().catch((error) => {
+  console.error("Error:", error);
+  process.exitCode = 1;
+});
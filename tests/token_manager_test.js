@@ -0,0 +1,87 @@
+// Usage: node token_manager_test.js
+// Checks when the Copilot token is refreshed, from its `refresh_in` and
+// `expires_at`, and that a due token is refreshed right away. Doesn't need the
+// server or a signed-in account, the token is made up in a temporary directory.
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { CopilotAuth } from "../src/utils/auth_client.js";
+import { CopilotTokenManager } from "../src/utils/token_manager.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghcp-test-"));
+process.env.XDG_CONFIG_HOME = configDir;
+process.env.GHCP_CREDENTIAL_STORE = "file";
+
+function checkTokenExpiry() {
+  const now = Math.floor(Date.now() / 1000);
+  const tokenPath = path.join(configDir, "github-token.json");
+  fs.writeFileSync(
+    tokenPath,
+    JSON.stringify({
+      token: "tid=test",
+      fetched_at: now,
+      refresh_in: 1200,
+      expires_at: now + 1800,
+    }),
+    { mode: 0o600 },
+  );
+  const auth = new CopilotAuth(null);
+  const expiry = auth.getTokenExpiry();
+  assert.strictEqual(expiry.expiresAt.getTime(), (now + 1800) * 1000);
+  assert.strictEqual(expiry.refreshAt.getTime(), (now + 1200) * 1000);
+
+  // Without `refresh_in` the token is refreshed 5 minutes before it expires
+  const token = { token: "tid=test", expires_at: now + 600 };
+  auth.tokenCache.write(token);
+  assert.strictEqual(
+    auth.getTokenExpiry().refreshAt.getTime(),
+    (now + 300) * 1000,
+  );
+  console.log("The token is refreshed ahead of its expiry.");
+}
+
+async function checkSchedule() {
+  let refreshAt = new Date(Date.now() - 1000);
+  let refreshes = 0;
+  const auth = {
+    getTokenExpiry: () => ({ expiresAt: null, refreshAt }),
+    refreshGithubToken: async () => {
+      refreshes++;
+      refreshAt = new Date(Date.now() + 60 * 60 * 1000);
+    },
+  };
+  const tokenManager = new CopilotTokenManager(auth);
+
+  // A token which is due is refreshed right away, then not until the next refresh
+  tokenManager.start();
+  await sleep(50);
+  assert.strictEqual(refreshes, 1);
+  assert.ok(tokenManager.refreshTimer);
+
+  // A failed refresh is tried again later
+  auth.refreshGithubToken = async () => {
+    throw new Error("Network is down");
+  };
+  assert.strictEqual(await tokenManager.refresh(), false);
+  assert.ok(tokenManager.refreshTimer);
+  tokenManager.stop();
+  assert.strictEqual(tokenManager.refreshTimer, null);
+  console.log("Due tokens are refreshed right away, failed refreshes retried.");
+}
+
+async function runChecks() {
+  try {
+    checkTokenExpiry();
+    await checkSchedule();
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+}
+
+runChecks().catch((error) => {
+  console.error("Error:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,68 @@
+// Usage: node upstream_cancel_test.js
+// Checks that an upstream request is cancelled, and not retried, when its
+// signal is aborted, as the server does when the client disconnects. Doesn't
+// need the server or network access, a local proxy holds the request.
+
+import assert from "assert";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { sendHttpRequest } from "../src/utils/http_utils.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghcp-test-"));
+process.env.XDG_CONFIG_HOME = configDir;
+
+async function checkCancel() {
+  let connects = 0;
+  const proxy = http.createServer();
+  proxy.on("connect", (req, socket) => {
+    connects++;
+    // Keep the request waiting, like a slow completion
+    socket.write("HTTP/1.1 200 Connection established\r\n\r\n");
+  });
+  await new Promise((resolve) => proxy.listen(0, "127.0.0.1", resolve));
+
+  process.env.HTTPS_PROXY = `http://127.0.0.1:${proxy.address().port}`;
+  process.env.GHCP_CONNECT_TIMEOUT_MS = "0";
+  process.env.GHCP_FIRST_BYTE_TIMEOUT_MS = "0";
+  process.env.GHCP_MAX_RETRIES = "2";
+  try {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    const startedAt = Date.now();
+    await assert.rejects(
+      sendHttpRequest(
+        "api.example.com",
+        "/chat/completions",
+        "POST",
+        {},
+        {},
+        null,
+        undefined,
+        undefined,
+        undefined,
+        { signal: controller.signal },
+      ),
+      /aborted/i,
+    );
+    assert.ok(Date.now() - startedAt < 2000);
+    assert.strictEqual(connects, 1);
+  } finally {
+    proxy.close();
+  }
+  console.log("Aborted upstream requests are cancelled without retries.");
+}
+
+async function runChecks() {
+  try {
+    await checkCancel();
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+}
+
+runChecks().catch((error) => {
+  console.error("Error:", error);
+  process.exitCode = 1;
+});
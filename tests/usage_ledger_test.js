@@ -0,0 +1,87 @@
+// Usage: node usage_ledger_test.js
+// Checks how reporting periods are parsed, how the usage is summed up and that
+// the ledger is moved aside once it's full. Doesn't need the server, the
+// ledger is kept in a temporary directory.
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { UsageLedger, parseSince } from "../src/utils/usage_ledger.js";
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghcp-test-"));
+
+function checkPeriods() {
+  assert.strictEqual(parseSince(undefined), null);
+  const since = parseSince("24h");
+  assert.ok(Math.abs(Date.now() - 24 * 60 * 60 * 1000 - since) < 1000);
+  assert.strictEqual(
+    parseSince("2025-01-01").toISOString(),
+    "2025-01-01T00:00:00.000Z",
+  );
+  assert.throws(() => parseSince("yesterday"), /Invalid period start/);
+  console.log("Reporting periods are parsed.");
+}
+
+async function checkSummary() {
+  // Small enough to be moved aside after two entries
+  const ledger = new UsageLedger(path.join(configDir, "usage.jsonl"), 300);
+  const entry = (model, hoursAgo, status = 200) => ({
+    timestamp: new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString(),
+    client: "key:a",
+    profile: null,
+    model,
+    path: "/api/chat",
+    status,
+    prompt_tokens: 10,
+    completion_tokens: 5,
+    latency_ms: 100,
+  });
+  ledger.record(entry("gpt-4o", 48));
+  await sleep(50);
+  ledger.record(entry("gpt-4o", 1));
+  await sleep(50);
+  ledger.record(entry("claude-3.5-sonnet", 1, 500));
+  await sleep(50);
+  assert.ok(fs.existsSync(path.join(configDir, "usage.1.jsonl")));
+
+  const rows = await ledger.summarize(parseSince("24h"), "model");
+  assert.deepStrictEqual(rows, [
+    {
+      model: "gpt-4o",
+      requests: 1,
+      errors: 0,
+      prompt_tokens: 10,
+      completion_tokens: 5,
+      total_tokens: 15,
+      avg_latency_ms: 100,
+    },
+    {
+      model: "claude-3.5-sonnet",
+      requests: 1,
+      errors: 1,
+      prompt_tokens: 10,
+      completion_tokens: 5,
+      total_tokens: 15,
+      avg_latency_ms: 100,
+    },
+  ]);
+  const [all] = await ledger.summarize(null, "client");
+  assert.strictEqual(all.requests, 3);
+  console.log("Usage is summed up across the moved ledger.");
+}
+
+async function runChecks() {
+  try {
+    checkPeriods();
+    await checkSummary();
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+}
+
+runChecks().catch((error) => {
+  console.error("Error:", error);
+  process.exitCode = 1;
+});